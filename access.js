@@ -0,0 +1,93 @@
+/**
+ * 访问控制
+ * 三种模式：open 谁都能用，allowlist 只有名单里的人能用，invite 要先用邀请码（/start <邀请码>）
+ * 管理员总是能用；被管理员屏蔽的用户在哪种模式下都不能用
+ */
+import crypto from 'node:crypto';
+import { memory } from './memory.js';
+import { getTelegramId } from './group.js';
+
+/**
+ * 解析逗号分隔的用户 ID 列表
+ */
+function parseIdList(text) {
+  return (text || '')
+    .split(',')
+    .map((id) => parseInt(id.trim()))
+    .filter(Number.isFinite);
+}
+
+export const ACCESS_MODES = ['open', 'allowlist', 'invite'];
+
+export const ACCESS_MODE = ACCESS_MODES.includes(process.env.ACCESS_MODE) ? process.env.ACCESS_MODE : 'open';
+
+// 管理员，可以用管理命令
+const ADMIN_IDS = parseIdList(process.env.ADMIN_IDS);
+
+// 配置文件里的名单（管理员用 /allow 添加的存在数据库里）
+const ALLOWED_USER_IDS = parseIdList(process.env.ALLOWED_USER_IDS);
+
+// 邀请码多久后过期
+const INVITE_CODE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 是不是管理员
+ */
+export function isAdmin(telegramId) {
+  return ADMIN_IDS.includes(telegramId);
+}
+
+/**
+ * 这个 Telegram 用户能不能用 bot
+ *
+ * 返回 { allowed, reason }，reason 是 blocked（被屏蔽）或者 not_allowed（不在名单里 / 没有邀请码）
+ */
+export function checkAccess(telegramId) {
+  if (telegramId == null) {
+    return { allowed: ACCESS_MODE === 'open', reason: ACCESS_MODE === 'open' ? null : 'not_allowed' };
+  }
+  if (isAdmin(telegramId)) return { allowed: true, reason: null };
+
+  const access = memory.getAccess(telegramId);
+  if (access?.blocked_at) return { allowed: false, reason: 'blocked' };
+
+  if (ACCESS_MODE === 'open' || access?.allowed || ALLOWED_USER_IDS.includes(telegramId)) {
+    return { allowed: true, reason: null };
+  }
+  return { allowed: false, reason: 'not_allowed' };
+}
+
+/**
+ * 记忆 key 对应的用户还能不能用 bot（用于主动消息、提醒、广播这些后台任务）
+ */
+export function isKeyAuthorized(userKey) {
+  const telegramId = getTelegramId(userKey);
+  return telegramId === null || checkAccess(telegramId).allowed;
+}
+
+/**
+ * 拒绝时说的话
+ */
+export function getRefusalMessage(reason) {
+  if (process.env.ACCESS_DENIED_MESSAGE) return process.env.ACCESS_DENIED_MESSAGE;
+  if (reason === 'blocked') return '抱歉，现在没法和你聊天。';
+  if (ACCESS_MODE === 'invite') return '抱歉，现在只接受邀请使用。有邀请码的话发 /start <邀请码>。';
+  return '抱歉，这个 bot 暂时不对外开放。';
+}
+
+/**
+ * 生成邀请码，maxUses 是可以用几次
+ */
+export function createInviteCode(createdBy, maxUses = 1) {
+  const code = crypto.randomBytes(6).toString('base64url');
+  memory.createInviteCode(code, { createdBy, maxUses, expiresAt: Date.now() + INVITE_CODE_TTL });
+  return code;
+}
+
+/**
+ * 兑换邀请码，成功返回 true（只有邀请模式下能兑换）
+ */
+export function redeemInviteCode(telegramId, code) {
+  if (ACCESS_MODE !== 'invite') return false;
+  return memory.redeemInviteCode(telegramId, code.trim());
+}
@@ -0,0 +1,111 @@
+/**
+ * 像真人一样发消息
+ * 把回复拆成几个聊天气泡，按字数模拟打字时间（期间一直显示"正在输入"），她在忙或者犯困时晚一点才回
+ */
+
+// 打字速度（每秒几个字）
+const TYPING_SPEED = parseFloat(process.env.TYPING_SPEED || '6');
+
+// 每个气泡的打字时间范围（毫秒）
+const MIN_TYPING_TIME = 600;
+const MAX_TYPING_TIME = 6000;
+
+// Telegram 的"正在输入"大约持续 5 秒，要不断刷新
+const TYPING_REFRESH_INTERVAL = 4000;
+
+// 一条回复最多拆成几个气泡
+const MAX_BUBBLES = 4;
+
+// 太短的句子和前一句放在同一个气泡里
+const MIN_BUBBLE_LENGTH = 4;
+
+// 她在忙或者犯困时最多晚多久才回（毫秒），0 表示不延迟
+const MOOD_DELAY_MAX = parseInt(process.env.MOOD_REPLY_DELAY || '0');
+
+// 说明她在忙或者犯困的心情描述
+const BUSY_MOOD = /忙|上课|睡|困/;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 把回复拆成几个聊天气泡
+ *
+ * 先按换行拆，再按句末标点拆；句子太多时后面的合并到最后一个气泡里
+ */
+export function splitIntoBubbles(text) {
+  const sentences = (text || '')
+    .split('\n')
+    .flatMap((line) => line.match(/[^。！？!?…~]+[。！？!?…~]*/g) || [])
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const bubbles = [];
+  for (const sentence of sentences) {
+    const last = bubbles[bubbles.length - 1];
+    if (last && (sentence.length < MIN_BUBBLE_LENGTH || bubbles.length >= MAX_BUBBLES)) {
+      bubbles[bubbles.length - 1] = `${last}${sentence}`;
+    } else {
+      bubbles.push(sentence);
+    }
+  }
+
+  return bubbles.length > 0 ? bubbles : [text];
+}
+
+/**
+ * 打出这段文字需要的时间
+ */
+export function getTypingTime(text) {
+  const time = (text.length / TYPING_SPEED) * 1000;
+  return Math.min(MAX_TYPING_TIME, Math.max(MIN_TYPING_TIME, time));
+}
+
+/**
+ * 根据她现在的状态决定晚多久才回（不忙返回 0）
+ */
+export function getMoodDelay(mood) {
+  if (MOOD_DELAY_MAX <= 0 || !BUSY_MOOD.test(mood || '')) return 0;
+  return Math.round(MOOD_DELAY_MAX * (0.3 + Math.random() * 0.7));
+}
+
+/**
+ * 持续显示"正在输入"，返回停止函数
+ */
+export function keepTyping(transport, chatId) {
+  const send = () =>
+    transport.sendChatAction(chatId, 'typing').catch((err) => {
+      console.error(`发送输入状态失败 (用户 ${chatId}):`, err.message);
+    });
+
+  send();
+  const timer = setInterval(send, TYPING_REFRESH_INTERVAL);
+  return () => clearInterval(timer);
+}
+
+/**
+ * 一个气泡一个气泡地发出去，每个气泡之前先"打一会儿字"
+ *
+ * sendOptions 只用于第一个气泡（例如群里的 reply_to_message_id）；
+ * elapsed 是生成回复已经花掉的时间，从第一个气泡的打字时间里扣掉
+ * 发送失败会抛出错误，已经发出去的气泡不会撤回
+ */
+export async function deliverReply(transport, chatId, text, { sendOptions = {}, elapsed = 0 } = {}) {
+  const bubbles = splitIntoBubbles(text);
+
+  for (let i = 0; i < bubbles.length; i++) {
+    // 发出消息后"正在输入"就消失了，每个气泡重新开始
+    const typingTime = getTypingTime(bubbles[i]) - (i === 0 ? elapsed : 0);
+    if (typingTime > 0) {
+      const stopTyping = keepTyping(transport, chatId);
+      try {
+        await sleep(typingTime);
+      } finally {
+        stopTyping();
+      }
+    }
+
+    await transport.sendMessage(chatId, bubbles[i], i === 0 ? sendOptions : {});
+  }
+
+  return bubbles;
+}
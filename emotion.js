@@ -0,0 +1,127 @@
+/**
+ * 情绪状态
+ * 她对每个人有一份数值化的情绪：心情（valence）、精力（energy）、亲近程度（affection），都是 -1 到 1
+ * 每次聊完按情绪分析的结果变化，没人聊的时候慢慢回到人格的基线（temperament）；
+ * 精力再加上作息表当前时段的精力，所以同样的状态深夜会更累
+ */
+import { memory } from './memory.js';
+import { getCurrentSchedule } from './persona.js';
+
+export const EMOTION_DIMENSIONS = ['valence', 'energy', 'affection'];
+
+// 每个维度回到基线的半衰期（毫秒）：精力恢复得快，对一个人的感觉变得慢
+const HALF_LIFE = {
+  valence: 4 * 60 * 60 * 1000,
+  energy: 2 * 60 * 60 * 1000,
+  affection: 12 * 60 * 60 * 1000,
+};
+
+// 一次对话最多让每个维度变化多少
+const MAX_DELTA = 0.5;
+
+// 情绪的原因多久以后就不提了
+const REASON_TTL = 6 * 60 * 60 * 1000;
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * 解析情绪分析的结果（每个维度的变化量），看不懂返回 null
+ */
+export function parseEmotionDelta(result) {
+  const json = (result || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch (error) {
+    console.error('解析情绪变化失败:', error.message);
+    return null;
+  }
+
+  const delta = {};
+  for (const dimension of EMOTION_DIMENSIONS) {
+    const value = Number(data?.[dimension] ?? 0);
+    if (!Number.isFinite(value)) return null;
+    delta[dimension] = Math.max(-MAX_DELTA, Math.min(MAX_DELTA, value));
+  }
+  delta.reason = typeof data?.reason === 'string' && data.reason.trim() ? data.reason.trim() : null;
+
+  return delta;
+}
+
+/**
+ * 当前的情绪状态（按时间回落到基线之后的值，还没聊过就是基线）
+ */
+export function getEmotionalState(userId, persona, now = Date.now()) {
+  const baseline = persona.temperament;
+  const saved = memory.getEmotionalState(userId);
+  if (!saved) return { ...baseline, reason: null, updatedAt: null };
+
+  const elapsed = Math.max(0, now - saved.updated_at);
+  const state = { reason: elapsed < REASON_TTL ? saved.reason : null, updatedAt: saved.updated_at };
+  for (const dimension of EMOTION_DIMENSIONS) {
+    const decay = Math.pow(0.5, elapsed / HALF_LIFE[dimension]);
+    state[dimension] = baseline[dimension] + (saved[dimension] - baseline[dimension]) * decay;
+  }
+
+  return state;
+}
+
+/**
+ * 按一次对话的情绪变化更新状态，返回新的状态
+ */
+export function updateEmotionalState(userId, persona, delta, now = Date.now()) {
+  const current = getEmotionalState(userId, persona, now);
+  const state = { reason: delta.reason || current.reason, updatedAt: now };
+  for (const dimension of EMOTION_DIMENSIONS) {
+    state[dimension] = clamp(current[dimension] + delta[dimension]);
+  }
+
+  memory.setEmotionalState(userId, state);
+  return state;
+}
+
+/**
+ * 加上作息表当前时段精力之后的情绪状态
+ */
+export function getCurrentEmotion(userId, persona, timezone) {
+  const state = getEmotionalState(userId, persona);
+  return { ...state, energy: clamp(state.energy + getCurrentSchedule(persona, timezone).energy) };
+}
+
+/**
+ * 把情绪状态写成一句话，例如"心情不错，有点累，对Ta挺有好感（因为对方说了有趣的事）"
+ *
+ * target 是称呼对方的词：提示词里用"Ta"，对用户说的时候用"你"
+ */
+export function describeEmotion(state, { target = 'Ta' } = {}) {
+  const parts = [];
+
+  if (state.valence >= 0.5) parts.push('心情很好');
+  else if (state.valence >= 0.2) parts.push('心情不错');
+  else if (state.valence > -0.2) parts.push('心情平静');
+  else if (state.valence > -0.5) parts.push('心情有点低落');
+  else parts.push('心情很差');
+
+  if (state.energy >= 0.4) parts.push('精神很好');
+  else if (state.energy <= -0.6) parts.push('很累');
+  else if (state.energy <= -0.3) parts.push('有点累');
+
+  if (state.affection >= 0.5) parts.push(`跟${target}很亲近`);
+  else if (state.affection >= 0.2) parts.push(`对${target}挺有好感`);
+  else if (state.affection <= -0.5) parts.push(`对${target}很烦`);
+  else if (state.affection <= -0.2) parts.push(`对${target}有点不耐烦`);
+
+  let text = parts.join('，');
+  if (state.reason) text += `（因为${state.reason}）`;
+  return text;
+}
+
+/**
+ * 放进提示词的情绪描述：作息表里的状态 + 对这个人的情绪
+ */
+export function getMoodHint(userId, persona, timezone) {
+  const schedule = getCurrentSchedule(persona, timezone);
+  return `${schedule.mood}；${describeEmotion(getCurrentEmotion(userId, persona, timezone))}`;
+}
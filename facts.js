@@ -0,0 +1,221 @@
+/**
+ * 长期记忆整理
+ * 解析结构化提取结果、合并重复信息、用新信息取代矛盾的旧信息，以及挑选注入提示词的信息
+ */
+import { memory } from './memory.js';
+import { DEFAULT_TIMEZONE, formatDate, isSameLocalDay, localTimeToTimestamp } from './time.js';
+import { toBigrams } from './tokenizer.js';
+
+/**
+ * 信息类别
+ */
+export const FACT_CATEGORIES = {
+  profile: '基本信息',
+  preference: '喜好',
+  life: '生活',
+  event: '事件',
+  other: '其他',
+};
+
+// 这些类别里同一个属性只有一个当前值（比如居住城市），新值会取代旧值
+const SINGLE_VALUED_CATEGORIES = ['profile', 'life'];
+
+// 注入提示词时各类别的基础权重
+const CATEGORY_WEIGHTS = {
+  profile: 1,
+  life: 0.8,
+  event: 0.7,
+  preference: 0.6,
+  other: 0.5,
+};
+
+// 信息的"新鲜度"每 30 天减半
+const RECENCY_HALF_LIFE = 30 * 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 一周内就要发生的事件优先放进提示词
+const UPCOMING_EVENT_WINDOW = 7 * DAY;
+
+/**
+ * 规范化属性名，用于判断两条信息是否描述同一件事
+ */
+function normalizeSubject(subject) {
+  return (subject || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 校验并规范化一条提取结果
+ *
+ * 纯文本兜底时容易混进"好的："之类的废话，所以对长度要求更严
+ */
+function normalizeCandidate(item, minLength = 2) {
+  const fact = typeof item === 'string' ? item : item?.fact;
+  if (typeof fact !== 'string') return null;
+
+  const text = fact.replace(/^[-•*]\s*/, '').trim();
+  if (text.length < minLength || text.length >= 100) return null;
+
+  const confidence = Number(item?.confidence);
+  const replaces = parseInt(item?.replaces);
+  const date = typeof item?.date === 'string' ? item.date.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) : null;
+
+  return {
+    fact: text,
+    category: FACT_CATEGORIES[item?.category] ? item.category : 'other',
+    subject: typeof item?.subject === 'string' && item.subject.trim() ? item.subject.trim() : null,
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.7,
+    replaces: Number.isInteger(replaces) ? replaces : null,
+    eventDate: date ? date.slice(1).map((v) => parseInt(v)) : null,
+  };
+}
+
+/**
+ * 解析 LLM 返回的提取结果
+ *
+ * 正常情况下是 JSON 数组；模型不听话返回了一行一条的纯文本时，按旧格式兜底
+ */
+export function parseExtractedFacts(result) {
+  if (!result) return [];
+
+  const text = result.trim();
+  if (text === '无' || text === '[]') return [];
+
+  const json = text.match(/\[[\s\S]*\]/);
+  if (json) {
+    try {
+      const items = JSON.parse(json[0]);
+      if (Array.isArray(items)) {
+        return items.map((item) => normalizeCandidate(item)).filter(Boolean);
+      }
+    } catch (error) {
+      console.error('解析提取结果失败，按纯文本处理:', error.message);
+    }
+  }
+
+  return text
+    .split('\n')
+    .map((line) => normalizeCandidate(line, 4))
+    .filter(Boolean);
+}
+
+/**
+ * 保存提取到的信息：重复的刷新，矛盾的取代旧的，其余新增
+ *
+ * 事件的日期按用户时区 timezone 解释；返回实际保存（新增或取代）的信息内容
+ */
+export async function saveExtractedFacts(userId, candidates, { timezone = DEFAULT_TIMEZONE } = {}) {
+  let current = memory.getFacts(userId);
+  const saved = [];
+
+  for (const candidate of candidates) {
+    let eventDate = null;
+    let eventAt = null;
+    if (candidate.eventDate) {
+      const [year, month, day] = candidate.eventDate;
+      eventAt = localTimeToTimestamp({ year, month, day }, timezone);
+      eventDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // 完全相同的信息：只刷新时间和置信度（改了日期的事件当作新信息重新保存）
+    const same = current.find((f) => f.fact === candidate.fact);
+    if (same && (!eventDate || same.event_date === eventDate)) {
+      memory.touchFact(userId, same.id, candidate.confidence);
+      continue;
+    }
+
+    // 模型明确指出要取代的旧信息，或者同一属性的旧值
+    let conflict = candidate.replaces ? current.find((f) => f.id === candidate.replaces) : null;
+    if (!conflict && candidate.subject && SINGLE_VALUED_CATEGORIES.includes(candidate.category)) {
+      const subject = normalizeSubject(candidate.subject);
+      conflict = current.find((f) => f.category === candidate.category && normalizeSubject(f.subject) === subject);
+    }
+
+    const id = await memory.addImportantFact(userId, candidate.fact, {
+      category: candidate.category,
+      subject: candidate.subject,
+      confidence: candidate.confidence,
+      eventDate,
+      eventAt,
+    });
+    if (!id) continue;
+
+    if (conflict && conflict.id !== id) {
+      memory.supersedeFact(userId, conflict.id, id);
+    }
+
+    current = memory.getFacts(userId);
+    saved.push(candidate.fact);
+  }
+
+  return saved;
+}
+
+/**
+ * 事件是否已经过去（那一天结束了）
+ */
+export function isPastEvent(fact, now = Date.now()) {
+  return !!fact.event_at && now >= fact.event_at + DAY;
+}
+
+/**
+ * 放进提示词的信息描述，带日期的事件注明是还没到、就是今天还是已经过去了
+ */
+export function describeFact(fact, { timezone = DEFAULT_TIMEZONE, now = Date.now() } = {}) {
+  if (!fact.event_at) return fact.fact;
+
+  if (isPastEvent(fact, now) || fact.resolved_at) {
+    return `${fact.fact}（${formatDate(fact.event_at, timezone)}，已经过去了）`;
+  }
+  if (isSameLocalDay(fact.event_at, now, timezone)) {
+    return `${fact.fact}（就是今天）`;
+  }
+  return `${fact.fact}（${formatDate(fact.event_at, timezone)}，还没到）`;
+}
+
+/**
+ * 信息和当前消息的相关程度（0-1）
+ */
+function relevance(fact, queryBigrams) {
+  if (queryBigrams.size === 0) return 0;
+
+  const factBigrams = toBigrams(fact);
+  if (factBigrams.size === 0) return 0;
+
+  let shared = 0;
+  for (const bigram of factBigrams) {
+    if (queryBigrams.has(bigram)) shared++;
+  }
+  return Math.min(1, (shared * 2) / factBigrams.size);
+}
+
+/**
+ * 按重要程度排序，挑出最值得放进提示词的几条
+ *
+ * 综合类别权重、置信度、新鲜度，以及和当前消息的相关程度
+ */
+export function rankFacts(facts, query = '', limit = 15) {
+  const now = Date.now();
+  const queryBigrams = toBigrams(query);
+
+  return facts
+    .map((f) => {
+      const age = now - (f.updated_at || f.created_at || now);
+      const recency = Math.pow(0.5, age / RECENCY_HALF_LIFE);
+      // 快到的事件更值得提，已经过去的事件就没那么重要了
+      let eventBonus = 0;
+      if (f.event_at) {
+        eventBonus = isPastEvent(f, now) || f.resolved_at ? -0.2 : f.event_at - now < UPCOMING_EVENT_WINDOW ? 0.3 : 0;
+      }
+
+      const score =
+        (CATEGORY_WEIGHTS[f.category] || CATEGORY_WEIGHTS.other) * 0.4 +
+        (f.confidence ?? 0.8) * 0.3 +
+        recency * 0.3 +
+        eventBonus +
+        relevance(f.fact, queryBigrams);
+      return { ...f, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
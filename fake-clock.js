@@ -0,0 +1,141 @@
+/**
+ * 模拟时钟
+ * 给 replay.js 用：接管 Date、setTimeout、setInterval，时间只在回放脚本推进时才走，
+ * 几天的间隔（主动消息、提醒）一下子就跑完，结果也不受机器快慢影响
+ */
+
+const RealDate = Date;
+const realSetImmediate = setImmediate;
+const realSetTimeout = setTimeout;
+const realClearTimeout = clearTimeout;
+const realClearInterval = clearInterval;
+
+// 等网络请求（本地 LLM）完成时的检查间隔（真实时间）
+const BUSY_POLL_INTERVAL = 10;
+
+export class FakeClock {
+  /**
+   * isBusy() 为 true 表示还有真实的异步操作（比如网络请求）没完成，推进时间前要等它
+   */
+  constructor(start, { isBusy = () => false } = {}) {
+    this.now = start;
+    this.isBusy = isBusy;
+    this.timers = new Map(); // id -> { at, seq, fn, args, interval }
+    this.nextId = 1;
+    this.seq = 0;
+  }
+
+  /**
+   * 替换全局的 Date 和定时器
+   */
+  install() {
+    const clock = this;
+
+    globalThis.Date = class extends RealDate {
+      constructor(...args) {
+        super(...(args.length > 0 ? args : [clock.now]));
+      }
+
+      static now() {
+        return clock.now;
+      }
+    };
+
+    globalThis.setTimeout = (fn, ms = 0, ...args) => this.schedule(fn, ms, args, null);
+    globalThis.setInterval = (fn, ms = 0, ...args) => this.schedule(fn, ms, args, Math.max(1, ms));
+    globalThis.clearTimeout = (timer) => this.clear(timer, realClearTimeout);
+    globalThis.clearInterval = (timer) => this.clear(timer, realClearInterval);
+  }
+
+  schedule(fn, ms, args, interval) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.now + Math.max(0, ms || 0), seq: this.seq++, fn, args, interval });
+
+    // 和 Node 的 Timeout 对象一样可以 ref / unref，也能当数字用
+    return {
+      fakeTimerId: id,
+      ref() {
+        return this;
+      },
+      unref() {
+        return this;
+      },
+      hasRef() {
+        return true;
+      },
+      [Symbol.toPrimitive]() {
+        return id;
+      },
+    };
+  }
+
+  clear(timer, realClear) {
+    if (timer == null) return;
+    if (timer.fakeTimerId) {
+      this.timers.delete(timer.fakeTimerId);
+    } else if (typeof timer === 'number' && this.timers.has(timer)) {
+      this.timers.delete(timer);
+    } else {
+      realClear(timer);
+    }
+  }
+
+  /**
+   * 等手头的异步操作都做完（Promise 链、网络请求），不推进时间
+   */
+  async settle() {
+    let idleRounds = 0;
+    while (idleRounds < 3) {
+      await new Promise((resolve) => realSetImmediate(resolve));
+      if (this.isBusy()) {
+        idleRounds = 0;
+        await new Promise((resolve) => realSetTimeout(resolve, BUSY_POLL_INTERVAL));
+      } else {
+        idleRounds++;
+      }
+    }
+  }
+
+  /**
+   * 最早到期的定时器（到期时间相同的按创建顺序）
+   */
+  nextTimer(until) {
+    let next = null;
+    for (const [id, timer] of this.timers) {
+      if (timer.at > until) continue;
+      if (!next || timer.at < next.timer.at || (timer.at === next.timer.at && timer.seq < next.timer.seq)) {
+        next = { id, timer };
+      }
+    }
+    return next;
+  }
+
+  /**
+   * 把时间推进到 target，期间到期的定时器按顺序执行，每执行一个都等它做完
+   */
+  async advanceTo(target) {
+    await this.settle();
+
+    let next;
+    while ((next = this.nextTimer(target))) {
+      const { id, timer } = next;
+      this.now = Math.max(this.now, timer.at);
+
+      if (timer.interval) {
+        timer.at += timer.interval;
+        timer.seq = this.seq++;
+      } else {
+        this.timers.delete(id);
+      }
+
+      try {
+        timer.fn(...timer.args);
+      } catch (err) {
+        console.error('定时任务出错:', err.message);
+      }
+      await this.settle();
+    }
+
+    this.now = Math.max(this.now, target);
+  }
+}
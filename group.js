@@ -0,0 +1,129 @@
+/**
+ * 群聊支持
+ * 判断群消息是否需要回复，以及群聊里记忆的 key 规则：
+ *   - 私聊：chat.id
+ *   - 群聊记录和群级别的记忆：群的 chat.id（负数）
+ *   - 群成员的个人记忆：`${chat.id}:${from.id}`
+ */
+
+/**
+ * 群里的活跃程度
+ *   quiet  - 只在被 @ 或被回复时说话
+ *   normal - 另外被叫到名字时也会回复
+ *   chatty - 另外偶尔会主动插话
+ */
+export const CHATTINESS_LEVELS = ['quiet', 'normal', 'chatty'];
+export const DEFAULT_CHATTINESS = 'normal';
+
+// chatty 模式下主动插话的概率
+const CHATTY_REPLY_CHANCE = 0.15;
+
+/**
+ * 是否是群聊消息
+ */
+export function isGroupChat(msg) {
+  return msg?.chat?.type === 'group' || msg?.chat?.type === 'supergroup';
+}
+
+/**
+ * 群成员个人记忆的 key
+ */
+export function getMemberKey(chatId, memberId) {
+  return `${chatId}:${memberId}`;
+}
+
+/**
+ * 记忆 key 对应的 Telegram 用户（私聊是 chat id，群成员是冒号后面的部分；群聊记录本身没有对应的用户，返回 null）
+ */
+export function getTelegramId(key) {
+  const text = String(key);
+  if (text.includes(':')) return parseInt(text.split(':')[1]);
+  return text.startsWith('-') ? null : Number(key);
+}
+
+/**
+ * key 是否属于群聊（群记录或群成员）
+ */
+export function isGroupKey(key) {
+  return String(key).startsWith('-');
+}
+
+/**
+ * key 是否是群聊记录本身（而不是某个成员）
+ */
+export function isGroupTranscriptKey(key) {
+  return isGroupKey(key) && !String(key).includes(':');
+}
+
+/**
+ * 获取说话人的显示名
+ */
+export function getSpeakerName(from) {
+  if (!from) return '某人';
+  return from.first_name || from.username || String(from.id);
+}
+
+/**
+ * 消息里是否 @ 了 bot
+ */
+function isMentioned(msg, botUser) {
+  if (!botUser) return false;
+
+  const text = msg.text || '';
+  return (msg.entities || []).some((entity) => {
+    if (entity.type === 'text_mention') {
+      return entity.user?.id === botUser.id;
+    }
+    if (entity.type === 'mention') {
+      const mention = text.substring(entity.offset, entity.offset + entity.length);
+      return mention.toLowerCase() === `@${botUser.username}`.toLowerCase();
+    }
+    return false;
+  });
+}
+
+/**
+ * 去掉消息里对 bot 的 @
+ */
+export function stripMention(text, botUser) {
+  if (!botUser?.username) return text;
+  return text.replace(new RegExp(`@${botUser.username}\\b`, 'gi'), '').trim();
+}
+
+/**
+ * 判断群消息是否需要回复
+ */
+export function shouldReplyInGroup(msg, { botUser, persona, chattiness = DEFAULT_CHATTINESS }) {
+  // 回复了 bot 的消息
+  if (botUser && msg.reply_to_message?.from?.id === botUser.id) {
+    return true;
+  }
+
+  if (isMentioned(msg, botUser)) {
+    return true;
+  }
+
+  if (chattiness === 'quiet') {
+    return false;
+  }
+
+  // 被叫到名字
+  if (persona && msg.text.toLowerCase().includes(persona.name.toLowerCase())) {
+    return true;
+  }
+
+  return chattiness === 'chatty' && Math.random() < CHATTY_REPLY_CHANCE;
+}
+
+/**
+ * 是否是群管理员
+ */
+export async function isGroupAdmin(transport, chatId, userId) {
+  try {
+    const member = await transport.getChatMember(chatId, userId);
+    return member.status === 'administrator' || member.status === 'creator';
+  } catch (error) {
+    console.error(`获取群成员信息失败 (群 ${chatId}, 用户 ${userId}):`, error.message);
+    return false;
+  }
+}
@@ -6,123 +6,238 @@
  *   2. 填写 TELEGRAM_TOKEN 和 DEEPSEEK_API_KEY
  *   3. npm install
  *   4. npm start
+ *
+ * 本地调提示词：npm run chat（在终端里聊天，不需要 TELEGRAM_TOKEN）
  */
 import 'dotenv/config';
-import TelegramBot from 'node-telegram-bot-api';
-import axios from 'axios';
-import { buildSystemPrompt, EXTRACTION_PROMPT, getCurrentMood, MOOD_ANALYSIS_PROMPT } from './persona.js';
+import {
+  buildMoodAnalysisPrompt,
+  buildSystemPrompt,
+  EXTRACTION_PROMPT,
+  findBannedPhrase,
+  getCurrentMood,
+  getPersona,
+  hasPersona,
+  listPersonas,
+} from './persona.js';
 import { memory } from './memory.js';
+import { chatWithLLM, getMissingConfig, getPurposeConfig, setUsageListener, streamChatWithLLM } from './llm.js';
+import { StreamingMessage } from './stream-reply.js';
+import { describeFact, parseExtractedFacts, rankFacts, saveExtractedFacts } from './facts.js';
+import { formatRecalledMessages, recallRelevantMessages } from './recall.js';
+import { formatStorySoFar, summarizeOlderMessages } from './summaries.js';
+import { detectReminder } from './reminders.js';
+import { MessageQueue } from './message-queue.js';
+import { deliverReply, getMoodDelay, keepTyping } from './delivery.js';
+import {
+  EMOTION_DIMENSIONS,
+  describeEmotion,
+  getCurrentEmotion,
+  getMoodHint,
+  parseEmotionDelta,
+  updateEmotionalState,
+} from './emotion.js';
+import { describeRelationship, getRelationship, recordRelationshipMessage } from './relationship.js';
+import { deleteOldSelfMemory, ensureAgenda, formatSelfLife, rememberSelfFacts } from './self-memory.js';
+import { BUDGETS, getBudgetUsage, getPeriodStart, isPurposeAllowed, recordUsage } from './usage.js';
+import {
+  ACCESS_MODE,
+  checkAccess,
+  createInviteCode,
+  getRefusalMessage,
+  isAdmin,
+  isKeyAuthorized,
+  redeemInviteCode,
+} from './access.js';
+import {
+  DEFAULT_TIMEZONE,
+  formatClock,
+  formatDate,
+  formatLocalDateTime,
+  formatUpcoming,
+  getLocalTime,
+  inferTimezone,
+  isSameLocalDay,
+  isValidTimezone,
+  parseTimezone,
+} from './time.js';
+import {
+  DAILY_LIMIT_WINDOW,
+  formatQuietHours,
+  getProactiveDecision,
+  getQuietHours,
+  isBlockedError,
+  parseQuietHours,
+} from './proactive.js';
+import {
+  CHATTINESS_LEVELS,
+  DEFAULT_CHATTINESS,
+  getMemberKey,
+  getSpeakerName,
+  isGroupAdmin,
+  isGroupChat,
+  isGroupKey,
+  isGroupTranscriptKey,
+  shouldReplyInGroup,
+  stripMention,
+} from './group.js';
+import { createTransport, getTransportConfigErrors, getTransportName } from './transport.js';
 
 // 配置
-const TOKEN = process.env.TELEGRAM_TOKEN;
-const API_KEY = process.env.DEEPSEEK_API_KEY;
-const MODEL_NAME = process.env.MODEL_NAME || 'deepseek-chat';
+const TRANSPORT_NAME = getTransportName(); // telegram，或者 terminal（本地终端里聊天，调提示词用）
 const MEMORY_LIMIT = parseInt(process.env.MEMORY_LIMIT || '20');
+const STREAM_REPLIES = process.env.STREAM_REPLIES !== 'false';
+const HUMAN_DELIVERY = process.env.HUMAN_DELIVERY === 'true'; // 拆成几个气泡、模拟打字时间（默认关闭；开启时不用流式回复）
+const FACT_PROMPT_LIMIT = parseInt(process.env.FACT_PROMPT_LIMIT || '15');
+const RECALL_LIMIT = parseInt(process.env.RECALL_LIMIT || '3');
+
+// 每增加这么多条对话就提取一次重要信息
+const EXTRACTION_INTERVAL = 10;
+
+// 她又发了这么多条消息，就一起从里面记下她说的关于自己的事（一次最多处理 EXTRACTION_INTERVAL 条）
+const SELF_FACT_BATCH = 5;
+
+// 群聊记录每增加这么多条就提取一次群级别的重要信息
+const GROUP_EXTRACTION_INTERVAL = 20;
 
-if (!TOKEN || !API_KEY) {
+// bot 自己的账号信息（启动时获取，用于识别群里的 @ 和回复）
+let botUser = null;
+
+const missingConfig = [...getTransportConfigErrors(TRANSPORT_NAME), ...getMissingConfig()];
+
+if (missingConfig.length > 0) {
   console.error('❌ 缺少必要配置！');
-  console.error('请检查 .env 文件中的 TELEGRAM_TOKEN 和 DEEPSEEK_API_KEY');
+  console.error(`请检查 .env 文件中的 ${missingConfig.join('、')}`);
   process.exit(1);
 }
 
-// API endpoint
-const API_BASE = 'https://api.deepseek.com';
+// 用户名、最后聊天时间、主动消息时间都保存在数据库的用户资料里（memory.getProfile / updateProfile）
 
-// 消息时间追踪（用于模拟"刚才在忙"）
-const lastMessageTime = new Map();
+// 记忆管理
+const pendingFactEdits = new Map(); // 等待用户回复新内容的修改请求：`${chatId}:${提示消息 id}` -> { userId, factId, createdAt }
+const MEMORY_BUTTON_LIMIT = 10; // /memory 最多显示多少条信息的管理按钮
+const MAX_FACT_LENGTH = 200;
 
-// 用户名存储
-const userNames = new Map();
+// 数据保留策略
+const PROFILE_CACHE_TTL = 24 * 60 * 60 * 1000; // 用户资料缓存一天没用到就从内存释放（数据库里还在）
+const PENDING_FACT_EDIT_TTL = 24 * 60 * 60 * 1000; // 记忆修改请求一天没人回复就作废
+const PROFILE_RETENTION = 90 * 24 * 60 * 60 * 1000; // 没有聊天记录的用户资料 90 天没互动就删除
+const PROACTIVE_LOG_RETENTION = 7 * 24 * 60 * 60 * 1000; // 主动消息记录只用来算每天的上限，保留一周
+const EVENT_FOLLOW_UP_WINDOW = 4 * 24 * 60 * 60 * 1000; // 事件过去三天还没机会问结果，就不问了
+const USAGE_RETENTION = 90 * 24 * 60 * 60 * 1000; // 用量记录保留 90 天（预算最长按月算）
 
-// 主动交互相关
-const lastInteractionTime = new Map(); // 记录最后互动时间
-const lastActiveMessageTime = new Map(); // 记录主动消息发送时间
-const USER_INACTIVE_THRESHOLD = 30 * 60 * 1000; // 30分钟无互动后可主动发起对话
-const ACTIVE_MESSAGE_INTERVAL = 2 * 60 * 60 * 1000; // 主动消息间隔：2小时
+// 管理
+const USER_LIST_LIMIT = 30; // /users 最多列出多少人
+const BROADCAST_INTERVAL = 100; // 广播时每条消息之间至少隔多久（Telegram 限制每秒 30 条左右）
+let broadcasting = false; // 同一时间只跑一个广播
 
-// 内存管理：定期清理旧的用户数据，防止内存泄漏
-setInterval(
-  () => {
-    const now = Date.now();
-    const THRESHOLD = 7 * 24 * 60 * 60 * 1000; // 7天
+// 访问控制
+const refusedAt = new Map(); // 上次拒绝没有权限的用户的时间：chatId -> 时间
+const REFUSAL_INTERVAL = 60 * 60 * 1000; // 同一个人一小时内只拒绝一次，之后的消息直接忽略
 
-    // 清理超过7天未活动的用户的时间记录
-    for (const [userId, time] of lastMessageTime.entries()) {
-      if (now - time > THRESHOLD) {
-        lastMessageTime.delete(userId);
-      }
-    }
+// 提醒
+const REMINDER_CHECK_INTERVAL = 30 * 1000; // 每 30 秒检查一次到时间的提醒
+const REMINDER_MAX_ATTEMPTS = 3; // 发送失败最多重试几次
+const REMINDER_LATE_THRESHOLD = 10 * 60 * 1000; // 晚了这么久才发（比如 bot 停过）要说明一下
 
-    // 清理用户名称映射中对应的条目
-    for (const [userId, name] of userNames.entries()) {
-      // 如果用户在lastMessageTime中且时间超过阈值，则清理
-      const lastTime = lastMessageTime.get(userId);
-      if (lastTime && now - lastTime > THRESHOLD) {
-        userNames.delete(userId);
-      }
-    }
-  },
-  60 * 60 * 1000,
-); // 每小时运行一次清理
+// 同一个用户（群聊是同一个群）的消息排队处理，连着发的几条合并成一轮
+const messageQueue = new MessageQueue(replyToTurn);
+
+// 还没发出去的延续消息和主动消息：userId -> { cancelled, timer }，用户又发消息时作废
+const pendingOutgoing = new Map();
+
+/**
+ * 准备给用户发一条延续消息或主动消息（之前准备的作废）
+ */
+function startOutgoing(userId) {
+  cancelOutgoing(userId);
+  const task = { cancelled: false, timer: null };
+  pendingOutgoing.set(userId, task);
+  return task;
+}
 
 /**
- * 调用 DeepSeek API
+ * 发完了（或者放弃了）
  */
-async function chatWithLLM(messages) {
-  // 验证输入
-  if (!messages || !Array.isArray(messages) || messages.length === 0) {
-    throw new Error('Invalid messages array');
+function finishOutgoing(userId, task) {
+  if (pendingOutgoing.get(userId) === task) {
+    pendingOutgoing.delete(userId);
   }
+}
 
-  const maxRetries = 3;
-  let lastError;
+/**
+ * 用户又发消息了：还没发出去的延续消息和主动消息都不发了
+ */
+function cancelOutgoing(userId) {
+  const task = pendingOutgoing.get(userId);
+  if (!task) return;
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await axios.post(
-        `${API_BASE}/chat/completions`,
-        {
-          model: MODEL_NAME,
-          messages,
-          temperature: 0.85,
-          max_tokens: 300,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000,
-        },
-      );
+  task.cancelled = true;
+  clearTimeout(task.timer);
+  pendingOutgoing.delete(userId);
+}
 
-      const content = response.data?.choices?.[0]?.message?.content;
-      if (!content) {
-        console.error(`API 返回空内容 (尝试 ${attempt}/${maxRetries}):`, JSON.stringify(response.data, null, 2));
-        if (attempt === maxRetries) {
-          throw new Error('API 返回空内容');
-        }
-        // 等待一段时间后重试
-        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
-        continue;
-      }
+/**
+ * 按保留策略清理内存缓存和过期数据
+ */
+function applyRetentionPolicy() {
+  try {
+    const now = Date.now();
 
-      return content;
-    } catch (err) {
-      lastError = err;
-      console.error(`DeepSeek API 错误 (尝试 ${attempt}/${maxRetries}):`, err.response?.data || err.message);
+    const prunedCache = memory.pruneProfileCache(PROFILE_CACHE_TTL);
 
-      if (attempt === maxRetries) {
-        // 如果是最终尝试，抛出错误
-        throw err;
+    let expiredEdits = 0;
+    for (const [key, pending] of pendingFactEdits.entries()) {
+      if (now - pending.createdAt > PENDING_FACT_EDIT_TTL) {
+        pendingFactEdits.delete(key);
+        expiredEdits++;
       }
+    }
+
+    for (const [chatId, time] of refusedAt.entries()) {
+      if (now - time > REFUSAL_INTERVAL) refusedAt.delete(chatId);
+    }
+
+    const deletedProfiles = memory.deleteStaleProfiles(now - PROFILE_RETENTION);
+    memory.deleteOldProactiveMessages(now - PROACTIVE_LOG_RETENTION);
+    memory.resolveStaleEvents(now - EVENT_FOLLOW_UP_WINDOW);
+    deleteOldSelfMemory(now);
+    memory.deleteOldUsage(now - USAGE_RETENTION);
 
-      // 等待一段时间后重试
-      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+    if (prunedCache || expiredEdits || deletedProfiles) {
+      console.log(
+        `[清理] 释放 ${prunedCache} 个用户资料缓存, 作废 ${expiredEdits} 个修改请求, 删除 ${deletedProfiles} 个过期用户资料`,
+      );
     }
+  } catch (error) {
+    console.error('数据清理失败:', error.message);
   }
+}
+
+setInterval(applyRetentionPolicy, 60 * 60 * 1000); // 每小时运行一次清理
+
+/**
+ * 获取用户（群聊时是群）所在的时区
+ */
+function getUserTimezone(userId) {
+  // 以前的版本可能存下了 Intl 不认识的时区（比如 Etc/GMT+13），这种按默认时区算
+  const timezone = memory.getTimezone(userId)?.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * 获取用户当前选择的人格
+ */
+function getUserPersona(userId) {
+  return getPersona(memory.getPersonaId(userId));
+}
 
-  throw lastError;
+/**
+ * 挑选放进提示词的重要信息（按类别、置信度、新鲜度和相关程度排序，数量有上限）
+ */
+function getPromptFacts(userId, query = '') {
+  const timezone = getUserTimezone(userId);
+  return rankFacts(memory.getFacts(userId), query, FACT_PROMPT_LIMIT).map((f) => describeFact(f, { timezone }));
 }
 
 /**
@@ -135,6 +250,9 @@ async function extractImportantFacts(userId) {
     return [];
   }
 
+  // 用量快到预算了，先不提取
+  if (!isPurposeAllowed(userId, 'extraction')) return [];
+
   try {
     const lastMessages = memory.getAll(userId).slice(-20);
     if (lastMessages.length === 0) return [];
@@ -143,31 +261,42 @@ async function extractImportantFacts(userId) {
 
     if (messages.length < 2) return [];
 
-    const conversation = messages.map((m) => `${m.role === 'user' ? '对方' : 'Rose'}: ${m.content}`).join('\n');
+    const persona = getUserPersona(userId);
+    // 群聊记录里用户消息已经带了说话人的名字
+    const userLabel = isGroupTranscriptKey(userId) ? '' : '对方: ';
+    const conversation = messages
+      .map((m) => (m.role === 'user' ? `${userLabel}${m.content}` : `${persona.name}: ${m.content}`))
+      .join('\n');
+
+    // 带上已记住的信息，让模型判断新信息是否更新了旧的
+    const timezone = getUserTimezone(userId);
+    const knownFacts = memory.getFacts(userId);
+    const known =
+      knownFacts.length > 0
+        ? knownFacts.map((f) => `#${f.id} ${describeFact(f, { timezone })}`).join('\n')
+        : '（暂无）';
 
-    const prompt = `${EXTRACTION_PROMPT}\n\n对话记录:\n${conversation}\n\n需要记住的信息:`;
+    const prompt = `${EXTRACTION_PROMPT}\n\n现在时间：${formatLocalDateTime(Date.now(), timezone)}\n\n已记住的信息:\n${known}\n\n对话记录:\n${conversation}\n\n需要记住的信息:`;
 
     try {
-      const result = await chatWithLLM([
-        { role: 'system', content: EXTRACTION_PROMPT },
-        { role: 'user', content: prompt },
-      ]);
+      const result = await chatWithLLM(
+        [
+          { role: 'system', content: EXTRACTION_PROMPT },
+          { role: 'user', content: prompt },
+        ],
+        { purpose: 'extraction', userId },
+      );
 
-      if (!result || result === '无') {
+      const candidates = parseExtractedFacts(result);
+      if (candidates.length === 0) {
         return [];
       }
 
-      const facts = result
-        .split('\n')
-        .map((line) => line.replace(/^[-•*]\s*/, '').trim())
-        .filter((line) => line.length > 3 && line.length < 100 && line !== '');
+      // 用户没自己设置时区的话，从居住地之类的信息推断
+      await inferTimezoneFromFacts(userId, candidates);
 
-      // 保存新发现的重要信息
-      for (const fact of facts) {
-        await memory.addImportantFact(userId, fact);
-      }
-
-      return facts;
+      // 保存新发现的重要信息（重复的合并，矛盾的取代旧的）
+      return await saveExtractedFacts(userId, candidates, { timezone });
     } catch (err) {
       console.error('提取重要信息AI调用失败:', err.message);
       return [];
@@ -178,6 +307,24 @@ async function extractImportantFacts(userId) {
   }
 }
 
+/**
+ * 从提取到的居住地信息推断时区（不覆盖用户自己设置的）
+ */
+async function inferTimezoneFromFacts(userId, candidates) {
+  if (isGroupTranscriptKey(userId) || memory.getTimezone(userId)?.source === 'command') return;
+
+  for (const candidate of candidates) {
+    const aboutLocation = /住|城市|所在地|搬|定居/.test(`${candidate.subject || ''}${candidate.fact}`);
+    if (!aboutLocation) continue;
+
+    const timezone = inferTimezone(candidate.fact);
+    if (timezone && timezone !== memory.getTimezone(userId)?.timezone) {
+      await memory.setTimezone(userId, timezone, 'inferred');
+    }
+    return;
+  }
+}
+
 /**
  * 分析并记录情绪
  */
@@ -188,17 +335,26 @@ async function analyzeAndSaveMood(userId, userMessage, assistantReply) {
     return;
   }
 
+  // 用量快到预算了，情绪分析最先省掉
+  if (!isPurposeAllowed(userId, 'mood')) return;
+
   try {
-    const prompt = `${MOOD_ANALYSIS_PROMPT}\n\n对话:\n对方: ${userMessage}\nRose: ${assistantReply}`;
+    const persona = getUserPersona(userId);
+    const moodPrompt = buildMoodAnalysisPrompt(persona);
+    const prompt = `${moodPrompt}\n\n对话:\n对方: ${userMessage}\n${persona.name}: ${assistantReply}`;
 
     try {
-      const mood = await chatWithLLM([
-        { role: 'system', content: MOOD_ANALYSIS_PROMPT },
-        { role: 'user', content: prompt },
-      ]);
+      const result = await chatWithLLM(
+        [
+          { role: 'system', content: moodPrompt },
+          { role: 'user', content: prompt },
+        ],
+        { purpose: 'mood', userId },
+      );
 
-      if (mood && mood !== '无') {
-        await memory.addMood(userId, mood);
+      const delta = parseEmotionDelta(result);
+      if (delta) {
+        updateEmotionalState(userId, persona, delta);
       }
     } catch (err) {
       console.error('分析情绪AI调用失败:', err.message);
@@ -209,17 +365,47 @@ async function analyzeAndSaveMood(userId, userMessage, assistantReply) {
 }
 
 /**
- * 获取时间间隔描述
+ * 记下她在这段对话里说的关于自己的事：上次处理过的消息之后她又发了 SELF_FACT_BATCH 条，就一起处理一次
+ *
+ * key 是她的消息存在哪（私聊是用户，群里是群聊记录），userId 是用量算在谁头上
+ */
+async function extractSelfFacts(key, persona, userId = key) {
+  try {
+    const said = memory.getAssistantMessagesAfter(key, memory.getSelfFactProgress(key), EXTRACTION_INTERVAL);
+    if (said.length < SELF_FACT_BATCH) return 0;
+
+    // 用量快到预算了，先不提取（攒着的消息下次再处理）
+    if (!isPurposeAllowed(userId, 'extraction')) return 0;
+
+    // 先记下处理到了哪，免得同时有别的一轮也拿这几条去处理
+    memory.setSelfFactProgress(key, said[said.length - 1].id);
+    return await rememberSelfFacts(
+      persona,
+      said.map((m) => m.content),
+      { userId },
+    );
+  } catch (err) {
+    console.error(`记录关于自己的事失败 (用户 ${key}):`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * 获取时间间隔描述（按用户所在时区判断是不是新的一天）
  */
-function getTimeGap(userId) {
-  const lastTime = lastMessageTime.get(userId);
+function getTimeGap(userId, timezone = DEFAULT_TIMEZONE) {
+  const lastTime = memory.getProfile(userId)?.last_message_at;
   if (!lastTime) return null;
 
-  const gap = Date.now() - lastTime;
-  const hours = Math.floor(gap / (1000 * 60 * 60));
+  const now = Date.now();
+  const hours = Math.floor((now - lastTime) / (1000 * 60 * 60));
+  const { hour } = getLocalTime(now, timezone);
 
   if (hours >= 6) {
-    return `距离上次聊天已经过了${hours}小时了，可以自然地问候一句`;
+    return `距离上次聊天已经过了${hours}小时了，Ta那边现在是${hour}点，可以自然地问候一句`;
+  }
+  if (!isSameLocalDay(lastTime, now, timezone)) {
+    return `这是Ta今天第一次找你，Ta那边现在是${hour}点`;
   }
   if (hours >= 1) {
     return `隔了一会儿才回，可以简单说一句`;
@@ -230,57 +416,94 @@ function getTimeGap(userId) {
 
 /**
  * 构建消息列表（包含个性化信息）
+ *
+ * 群聊时传入 group（chatId、title），历史记录使用群聊记录（这一轮大家说的话已经按收到的顺序记在里面），并带上群级别的记忆
  */
-function buildMessages(userId, userMessage) {
+function buildMessages(userId, userMessage, group = null) {
   // 输入验证
   if (!userId || !userMessage) {
     throw new Error('构建消息失败: 缺少必要参数');
   }
 
   try {
-    const userName = userNames.get(userId) || null;
-    const recentMemories = memory.getRecent(userId, MEMORY_LIMIT);
-    const importantFacts = memory.getImportantFacts(userId);
-    const chatCount = memory.getChatCount(userId);
-    const timeHint = getTimeGap(userId);
-    const timeMood = getCurrentMood();
-    const recentMood = memory.getRecentMood(userId);
-
-    let moodHint = timeMood;
-    if (recentMood) {
-      moodHint += `，上次对话心情: ${recentMood}`;
-    }
+    const persona = getUserPersona(group ? group.chatId : userId);
+    const userName = memory.getProfile(userId)?.name || null;
+    const recentMemories = memory.getRecent(group ? group.chatId : userId, MEMORY_LIMIT);
+    const importantFacts = getPromptFacts(userId, userMessage);
+    const groupFacts = group ? getPromptFacts(group.chatId, userMessage) : [];
+    const relationship = describeRelationship(getRelationship(userId, persona));
+    const timezone = getUserTimezone(group ? group.chatId : userId);
+    const timeHint = getTimeGap(userId, timezone);
+    const moodHint = getMoodHint(userId, persona, timezone);
 
     const systemPrompt = buildSystemPrompt({
+      persona,
       userName,
       importantFacts,
-      chatCount,
+      relationship,
+      selfLife: formatSelfLife(persona),
       mood: moodHint,
+      groupName: group?.title,
+      groupFacts,
     });
 
-    let messages = [{ role: 'system', content: systemPrompt }, ...recentMemories];
+    let messages = [{ role: 'system', content: systemPrompt }];
 
-    // 如果间隔很久，添加时间提示
-    if (timeHint) {
-      messages.push({
-        role: 'system',
-        content: `[系统提示: ${timeHint}]`,
-      });
+    // 更早对话的概要
+    const storySoFar = formatStorySoFar(group ? group.chatId : userId, { timezone });
+    if (storySoFar) {
+      messages.push({ role: 'system', content: storySoFar });
+    }
+
+    // 最近对话之外的相关旧对话
+    const recalled = recallRelevantMessages(group ? group.chatId : userId, userMessage, {
+      recentCount: MEMORY_LIMIT,
+      limit: RECALL_LIMIT,
+    });
+    const recallHint = formatRecalledMessages(recalled, persona.name, { speakerNamed: !!group, timezone });
+    if (recallHint) {
+      messages.push({ role: 'system', content: recallHint });
     }
 
-    messages.push({ role: 'user', content: userMessage });
+    // 如果间隔很久，添加时间提示（群聊里这一轮的话已经在群聊记录里了，提示放在记录前面）
+    const timeMessage = timeHint ? { role: 'system', content: `[系统提示: ${timeHint}]` } : null;
+    if (group) {
+      if (timeMessage) messages.push(timeMessage);
+      messages.push(...recentMemories);
+    } else {
+      messages.push(...recentMemories);
+      if (timeMessage) messages.push(timeMessage);
+      messages.push({ role: 'user', content: userMessage });
+    }
 
     return messages;
   } catch (error) {
     console.error(`构建消息失败 (用户 ${userId}):`, error.message);
     // 返回最小可行的消息结构，确保buildSystemPrompt被正确调用
     return [
-      { role: 'system', content: buildSystemPrompt({}) },
+      { role: 'system', content: buildSystemPrompt({ persona: getUserPersona(group ? group.chatId : userId) }) },
       { role: 'user', content: userMessage },
     ];
   }
 }
 
+/**
+ * 写入群聊记录，攒够一定数量后提取群级别的重要信息
+ */
+async function recordGroupMessage(chatId, role, content) {
+  await memory.add(chatId, role, content);
+
+  if (memory.getChatCount(chatId) % GROUP_EXTRACTION_INTERVAL === 0) {
+    setTimeout(async () => {
+      try {
+        await extractImportantFacts(chatId);
+      } catch (err) {
+        console.error('提取群重要信息失败:', err.message);
+      }
+    }, 0);
+  }
+}
+
 /**
  * 处理消息
  */
@@ -291,8 +514,11 @@ async function handleMessage(msg) {
     return;
   }
 
-  const userId = msg.chat.id;
-  const userMessage = msg.text;
+  // 群聊里按（群，成员）区分记忆，私聊直接用 chat.id
+  const chatId = msg.chat.id;
+  const isGroup = isGroupChat(msg);
+  const userId = isGroup ? getMemberKey(chatId, msg.from?.id) : chatId;
+  const userMessage = isGroup ? stripMention(msg.text, botUser) : msg.text;
   const userName = msg.from?.username || msg.from?.first_name || null;
 
   // 验证必需字段
@@ -301,98 +527,292 @@ async function handleMessage(msg) {
     return;
   }
 
+  // 忽略命令消息
+  if (userMessage.startsWith('/')) {
+    return;
+  }
+
+  // 没有权限的用户：私聊里礼貌地拒绝，群里不回复（消息照样记进群聊记录）
+  const access = checkAccess(msg.from?.id);
+  if (!access.allowed && !isGroup) {
+    await refuseAccess(chatId, access.reason);
+    return;
+  }
+
+  // 修改记忆的回复不当作聊天
+  try {
+    if (access.allowed && (await handlePendingFactEdit(msg, userId, userMessage))) return;
+  } catch (err) {
+    console.error(`修改记忆失败 (用户 ${userId}):`, err.message);
+    return;
+  }
+
+  // 群聊：所有消息一收到就按顺序记进群聊记录（回复的时候从记录里看上下文），但只在需要时回复
+  let group = null;
+  if (isGroup) {
+    group = { chatId, title: msg.chat.title, speakerName: getSpeakerName(msg.from) };
+
+    try {
+      await recordGroupMessage(chatId, 'user', `${group.speakerName}: ${userMessage}`);
+    } catch (err) {
+      console.error('记录群消息失败:', err.message);
+    }
+
+    const shouldReply = shouldReplyInGroup(msg, {
+      botUser,
+      persona: getUserPersona(chatId),
+      chattiness: memory.getChattiness(chatId) || DEFAULT_CHATTINESS,
+    });
+
+    if (!shouldReply || !access.allowed) return;
+  }
+
   // 检查消息长度
   if (userMessage.length > 1000) {
     console.error('消息过长');
     try {
-      await bot.sendMessage(userId, '消息太长了，我处理不了...');
+      await transport.sendMessage(chatId, '消息太长了，我处理不了...');
     } catch (sendErr) {
       console.error('发送错误消息失败:', sendErr.message);
     }
     return;
   }
 
+  // 用户又开始说话了，还没发出去的延续消息和主动消息都不发了
+  cancelOutgoing(userId);
+
+  // 她在忙或者犯困的时候晚一点才看消息
+  const settingsKey = isGroup ? chatId : userId;
+  let delay = 0;
+  try {
+    delay = getMoodDelay(getCurrentMood(getUserPersona(settingsKey), getUserTimezone(settingsKey)));
+  } catch (err) {
+    console.error(`计算回复延迟失败 (用户 ${userId}):`, err.message);
+  }
+
+  // 交给队列，等用户这一阵说完再一起回复；群里按群排队，几个人接连说的话合并成一轮，只回一次
+  messageQueue.push(settingsKey, { msg, userId, userMessage, userName, group }, { delay });
+}
+
+/**
+ * 告诉没有权限的用户不能用（同一个人隔一段时间才说一次）
+ */
+async function refuseAccess(chatId, reason) {
+  const last = refusedAt.get(chatId);
+  if (last && Date.now() - last < REFUSAL_INTERVAL) return;
+
+  refusedAt.set(chatId, Date.now());
   try {
-    // 保存用户名
-    if (userName && !userNames.has(userId)) {
-      userNames.set(userId, userName);
+    await transport.sendMessage(chatId, getRefusalMessage(reason));
+  } catch (err) {
+    console.error(`发送拒绝消息失败 (用户 ${chatId}):`, err.message);
+  }
+}
+
+/**
+ * 发出她说的话：开启 HUMAN_DELIVERY 时拆成几个气泡、模拟打字时间，否则一次发完
+ *
+ * elapsed 是已经让用户等了多久（比如生成回复的时间）
+ */
+async function sendChatMessage(chatId, text, { sendOptions = {}, elapsed = 0 } = {}) {
+  if (HUMAN_DELIVERY) {
+    await deliverReply(transport, chatId, text, { sendOptions, elapsed });
+  } else {
+    await transport.sendMessage(chatId, text, sendOptions);
+  }
+}
+
+/**
+ * 回复一轮消息（items 是用户连着发的几条，合并成一条处理）
+ *
+ * 群聊里 items 可能来自好几个成员：一起回复一次（引用最后一条）。群聊记录里大家说的话收到时就记下了，这里只记回复；
+ * 每个成员自己的记录里记下 Ta 这一轮说的话和这条回复
+ */
+async function replyToTurn(key, items) {
+  const { msg, userId, userName, group } = items[items.length - 1];
+  const chatId = msg.chat.id;
+  const isGroup = !!group;
+  const userMessage = items
+    .filter((item) => item.userId === userId)
+    .map((item) => item.userMessage)
+    .join('\n');
+
+  // 这一轮里说了话的人（群聊可能不止一个）和各自说的话
+  const speakers = new Map();
+  for (const item of items) {
+    const speaker = speakers.get(item.userId) || { userName: item.userName, messages: [] };
+    speaker.userName = item.userName;
+    speaker.messages.push(item.userMessage);
+    speakers.set(item.userId, speaker);
+  }
+
+  // 用量远超预算时不再调用 LLM，说一句就先不聊了
+  if (!isPurposeAllowed(userId, 'reply')) {
+    console.log(`[用量] 用户 ${userId} 超出预算，不再回复`);
+    try {
+      await transport.sendMessage(chatId, '今天有点累了，明天再聊吧。');
+    } catch (sendErr) {
+      console.error('发送错误消息失败:', sendErr.message);
     }
+    return;
+  }
 
-    // 忽略命令消息
-    if (userMessage.startsWith('/')) {
-      return;
+  try {
+    for (const [speakerId, speaker] of speakers) {
+      // 用户回消息了，主动消息的退避从头算
+      memory.resetProactiveBackoff(speakerId);
+
+      // 保存用户名（改名了也跟着更新）
+      if (speaker.userName && memory.getProfile(speakerId)?.name !== speaker.userName) {
+        memory.updateProfile(speakerId, { name: speaker.userName });
+      }
     }
 
-    await bot.sendChatAction(userId, 'typing');
+    // 群聊里引用被回复的那条消息，免得分不清在回谁
+    const sendOptions = isGroup ? { reply_to_message_id: msg.message_id } : {};
+
+    // 流式输出要能编辑发出去的消息
+    const streamReplies = STREAM_REPLIES && !HUMAN_DELIVERY && transport.supportsEditing;
+
+    // 想回复的这段时间一直显示"正在输入"
+    const startedAt = Date.now();
+    const stopTyping = keepTyping(transport, chatId);
+
+    let reply;
+    try {
+      // 她今天的安排还没有的话在后台生成，这次回复先不等它
+      const persona = getUserPersona(isGroup ? chatId : userId);
+      if (isPurposeAllowed(userId, 'agenda')) ensureAgenda(persona);
+
+      // 构建消息
+      const messages = buildMessages(userId, userMessage, group);
+
+      // 提醒请求（只在私聊里）：先记下来，让回复自然地确认一下
+      if (!isGroup) {
+        const reminderHint = await scheduleReminder(userId, chatId, userMessage);
+        if (reminderHint) {
+          messages.splice(messages.length - 1, 0, { role: 'system', content: reminderHint });
+        }
+      }
 
-    // 构建消息
-    const messages = buildMessages(userId, userMessage);
+      // 调用 LLM
+      if (streamReplies) {
+        // 流式输出：先发出第一段，之后通过编辑消息逐步补全
+        const streaming = new StreamingMessage(transport, chatId, sendOptions);
+        const result = await streamChatWithLLM(messages, {
+          purpose: 'reply',
+          userId,
+          onDelta: (text) => streaming.update(text),
+        });
+
+        if (!result.complete) {
+          console.error(`回复流中途断开 (用户 ${userId})，保留已生成的部分`);
+        }
 
-    // 调用 LLM
-    const reply = await chatWithLLM(messages);
+        reply = await streaming.finish(result.content, { complete: result.complete });
+      } else {
+        reply = await chatWithLLM(messages, { purpose: 'reply', userId });
+      }
+    } finally {
+      stopTyping();
+    }
 
     if (!reply || reply.trim().length === 0) {
       console.error('LLM 返回空内容');
-      await bot.sendMessage(userId, '嗯...');
+      await transport.sendMessage(chatId, '嗯...', sendOptions);
       return;
     }
 
-    // 检查回复长度
-    if (reply.length > 4096) {
-      // Telegram消息长度限制
-      console.error('回复过长');
-      reply = reply.substring(0, 4093) + '...';
-    }
+    if (!streamReplies) {
+      // 检查回复长度
+      if (reply.length > 4096) {
+        // Telegram消息长度限制
+        console.error('回复过长');
+        reply = reply.substring(0, 4093) + '...';
+      }
 
-    // 发送回复
-    await bot.sendMessage(userId, reply);
+      // 发送回复（拆成几个气泡时，记忆里还是存成完整的一条）
+      await sendChatMessage(chatId, reply, { sendOptions, elapsed: Date.now() - startedAt });
+    }
 
-    // 保存对话
-    await memory.add(userId, 'user', userMessage);
-    await memory.add(userId, 'assistant', reply);
+    // 保存对话（群聊记录里只差这条回复；每个说了话的成员都记下这一问一答）
+    if (isGroup) {
+      await recordGroupMessage(chatId, 'assistant', reply);
+    }
+    for (const [speakerId, speaker] of speakers) {
+      await memory.add(speakerId, 'user', speaker.messages.join('\n'));
+      await memory.add(speakerId, 'assistant', reply);
+    }
 
     // 更新最后消息时间
     const now = Date.now();
-    lastMessageTime.set(userId, now);
-    lastInteractionTime.set(userId, now); // 记录互动时间，用于主动交互
-
-    // 评估是否需要继续对话，增加自然的对话延续
-    setTimeout(async () => {
-      try {
-        // 根据对话内容决定是否继续话题
-        const shouldContinue = await shouldContinueConversation(userId, userMessage, reply);
-        if (shouldContinue) {
-          const continuationMessage = await generateContinuationMessage(userId, userMessage, reply);
-          if (continuationMessage) {
-            await bot.sendMessage(userId, continuationMessage);
-
-            // 保存延续消息到对话历史
-            await memory.add(userId, 'assistant', continuationMessage);
-
-            // 更新时间戳
-            lastMessageTime.set(userId, Date.now());
-            lastInteractionTime.set(userId, Date.now());
+    for (const speakerId of speakers.keys()) {
+      memory.updateProfile(speakerId, { lastMessageAt: now, lastInteractionAt: now }); // 互动时间用于主动交互
+      recordRelationshipMessage(speakerId, getUserPersona(isGroup ? chatId : speakerId), now);
+    }
 
-            console.log(`[对话延续] 发送给用户 ${userId}: ${continuationMessage.substring(0, 20)}...`);
+    // 评估是否需要继续对话，增加自然的对话延续（群里不主动接话，免得刷屏；用量快到预算时也不接）
+    if (!isGroup && isPurposeAllowed(userId, 'continuation')) {
+      const task = startOutgoing(userId);
+      task.timer = setTimeout(async () => {
+        try {
+          // 根据对话内容决定是否继续话题
+          const shouldContinue = await shouldContinueConversation(userId, userMessage, reply);
+          if (shouldContinue) {
+            const continuationMessage = await generateContinuationMessage(userId, userMessage, reply);
+            // 生成的时候用户又发消息了，就不接着说了
+            if (continuationMessage && !task.cancelled) {
+              await sendChatMessage(userId, continuationMessage);
+
+              // 保存延续消息到对话历史
+              await memory.add(userId, 'assistant', continuationMessage);
+
+              // 更新时间戳
+              memory.updateProfile(userId, { lastMessageAt: Date.now(), lastInteractionAt: Date.now() });
+
+              console.log(`[对话延续] 发送给用户 ${userId}: ${continuationMessage.substring(0, 20)}...`);
+            }
           }
+        } catch (error) {
+          console.error(`对话延续处理失败 (用户 ${userId}):`, error.message);
+        } finally {
+          finishOutgoing(userId, task);
         }
-      } catch (error) {
-        console.error(`对话延续处理失败 (用户 ${userId}):`, error.message);
-      }
-    }, 3000); // 3秒后发送延续消息，模拟自然的停顿
+      }, 3000); // 3秒后发送延续消息，模拟自然的停顿
+    }
 
     // 偶尔提取重要信息（每 10 条对话左右）
-    if (memory.getChatCount(userId) % 10 === 0) {
+    for (const speakerId of speakers.keys()) {
+      if (memory.getChatCount(speakerId) % EXTRACTION_INTERVAL !== 0) continue;
+
       // 使用setTimeout来避免阻塞主流程，但仍然处理异步操作
       setTimeout(async () => {
         try {
-          await extractImportantFacts(userId);
+          await extractImportantFacts(speakerId);
         } catch (err) {
           console.error('提取重要信息失败:', err.message);
         }
       }, 0);
     }
 
+    // 她说过的关于自己的事攒够了就记下来（群里她的话都在群聊记录里，每轮只处理一次）
+    setTimeout(() => extractSelfFacts(isGroup ? chatId : userId, getUserPersona(isGroup ? chatId : userId), userId), 0);
+
+    // 把滚出最近对话的旧消息总结成概要
+    setTimeout(async () => {
+      if (!isPurposeAllowed(isGroup ? chatId : userId, 'summary')) return;
+      try {
+        await summarizeOlderMessages(isGroup ? chatId : userId, {
+          personaName: getUserPersona(isGroup ? chatId : userId).name,
+          recentCount: MEMORY_LIMIT,
+          speakerNamed: isGroup,
+          timezone: getUserTimezone(isGroup ? chatId : userId),
+        });
+      } catch (err) {
+        console.error('总结旧对话失败:', err.message);
+      }
+    }, 0);
+
     // 分析并记录情绪
     setTimeout(async () => {
       try {
@@ -409,7 +829,7 @@ async function handleMessage(msg) {
     // 自然的人类式回复
     const naturalReplies = ['刚才卡住了，你说啥？', '没听清，再说一遍？', '有点走神了...', '信号不好吗，我没收到'];
     try {
-      await bot.sendMessage(userId, naturalReplies[Math.floor(Math.random() * naturalReplies.length)]);
+      await transport.sendMessage(chatId, naturalReplies[Math.floor(Math.random() * naturalReplies.length)]);
     } catch (sendErr) {
       console.error('发送错误回复失败:', sendErr.message);
     }
@@ -422,9 +842,10 @@ async function handleMessage(msg) {
 async function shouldContinueConversation(userId, userMessage, assistantReply) {
   try {
     // 获取用户的重要信息和对话历史
-    const importantFacts = memory.getImportantFacts(userId);
-    const recentMood = memory.getRecentMood(userId);
     const chatCount = memory.getChatCount(userId);
+    const persona = getUserPersona(userId);
+    const emotion = getCurrentEmotion(userId, persona, getUserTimezone(userId));
+    const { stage } = getRelationship(userId, persona);
 
     // 基于一些启发式规则判断是否继续对话
     // 1. 如果是简单问答，可能不需要继续
@@ -442,6 +863,11 @@ async function shouldContinueConversation(userId, userMessage, assistantReply) {
       return false;
     }
 
+    // 对Ta有点烦或者很累的时候，不太想多说
+    if (emotion.affection <= -0.3 || emotion.energy <= -0.6) {
+      return Math.random() > 0.9;
+    }
+
     // 如果用户表达了情感或提到了个人情况，可以继续
     const emotionalWords = ['开心', '难过', '生气', '累', '忙', '压力', '工作', '生活', '朋友', '家人', '今天', '感觉'];
     const hasEmotionalContent = emotionalWords.some(
@@ -455,8 +881,8 @@ async function shouldContinueConversation(userId, userMessage, assistantReply) {
       return Math.random() > 0.3; // 70%概率继续
     }
 
-    // 如果是初次对话或很久没聊，可以继续建立关系
-    if (chatCount < 5 || (chatCount > 20 && Math.random() > 0.5)) {
+    // 如果是初次对话可以继续建立关系，已经是朋友了也更愿意多聊几句
+    if (chatCount < 5 || (['friend', 'close_friend'].includes(stage.id) && Math.random() > 0.5)) {
       return true;
     }
 
@@ -473,18 +899,21 @@ async function shouldContinueConversation(userId, userMessage, assistantReply) {
  */
 async function generateContinuationMessage(userId, userMessage, assistantReply) {
   try {
-    const userName = userNames.get(userId) || '朋友';
-    const importantFacts = memory.getImportantFacts(userId);
-    const recentMood = memory.getRecentMood(userId);
-    const chatCount = memory.getChatCount(userId);
+    const persona = getUserPersona(userId);
+    const userName = memory.getProfile(userId)?.name || '朋友';
+    const importantFacts = getPromptFacts(userId, `${userMessage}\n${assistantReply}`);
+    const relationship = describeRelationship(getRelationship(userId, persona));
+    const timezone = getUserTimezone(userId);
+    const timeMood = getCurrentMood(persona, timezone);
+    const moodHint = getMoodHint(userId, persona, timezone);
 
     // 构建延续对话的提示
-    let prompt = `你是 Rose。你刚刚和${userName}进行了如下对话：
+    let prompt = `你是 ${persona.name}。你刚刚和${userName}进行了如下对话：
 
 用户说：${userMessage}
 你回复：${assistantReply}
 
-当前时间信息：${getCurrentMood()}
+当前时间信息：${timeMood}
 
 你想要继续这个对话，可以是对刚才话题的深入、转换话题、分享自己的经历或提出问题。请生成一条自然的延续对话消息，让对话更生动有趣。`;
 
@@ -493,27 +922,31 @@ async function generateContinuationMessage(userId, userMessage, assistantReply)
       prompt += `\n\n可以根据这些信息来延续对话。`;
     }
 
-    if (recentMood) {
-      prompt += `\n\nTa上次聊天的心情：${recentMood}`;
-    }
-
-    prompt += `\n\n你们已经聊过${chatCount}次了。`;
-
-    const continuationMessage = await chatWithLLM([
-      {
-        role: 'system',
-        content: buildSystemPrompt({
-          userName,
-          importantFacts,
-          chatCount,
-          mood: getCurrentMood() + (recentMood ? `，上次对话心情: ${recentMood}` : ''),
-        }),
-      },
-      { role: 'user', content: prompt },
-    ]);
+    const continuationMessage = await chatWithLLM(
+      [
+        {
+          role: 'system',
+          content: buildSystemPrompt({
+            persona,
+            userName,
+            importantFacts,
+            relationship,
+            selfLife: formatSelfLife(persona),
+            mood: moodHint,
+          }),
+        },
+        { role: 'user', content: prompt },
+      ],
+      { purpose: 'continuation', userId },
+    );
 
     // 确保返回的是合理的延续消息
-    if (continuationMessage && continuationMessage.trim().length > 0) {
+    const bannedPhrase = findBannedPhrase(persona, continuationMessage);
+    if (bannedPhrase) {
+      console.error(`延续消息包含禁用词 "${bannedPhrase}"，改用默认消息 (用户 ${userId})`);
+    }
+
+    if (!bannedPhrase && continuationMessage && continuationMessage.trim().length > 0) {
       return continuationMessage.trim();
     } else {
       // 默认的延续消息
@@ -540,43 +973,71 @@ async function generateContinuationMessage(userId, userMessage, assistantReply)
 
 /**
  * 生成主动消息
+ *
+ * 传入 event（已经过去的事件）时，主动问问结果怎么样
  */
-async function generateActiveMessage(userId) {
+async function generateActiveMessage(userId, { event = null } = {}) {
+  const timezone = getUserTimezone(userId);
+
   try {
-    const userName = userNames.get(userId) || '朋友';
-    const importantFacts = memory.getImportantFacts(userId);
-    const recentMood = memory.getRecentMood(userId);
-    const chatCount = memory.getChatCount(userId);
+    const persona = getUserPersona(userId);
+    const userName = memory.getProfile(userId)?.name || '朋友';
+    const importantFacts = getPromptFacts(userId);
+    const relationship = describeRelationship(getRelationship(userId, persona));
+
+    // 主动消息不用急着发，先把她今天的安排定下来，说的事才对得上
+    if (isPurposeAllowed(userId, 'agenda')) await ensureAgenda(persona);
+    const timeMood = getCurrentMood(persona, timezone);
+    const emotion = describeEmotion(getCurrentEmotion(userId, persona, timezone));
 
     // 根据用户信息生成个性化的主动消息
-    let prompt = `你是 Rose。现在主动联系${userName}聊天。
+    let prompt = `你是 ${persona.name}。现在主动联系${userName}聊天。
 
-当前时间信息：${getCurrentMood()}`;
+当前时间信息：${timeMood}`;
 
     if (importantFacts.length > 0) {
       prompt += `\n\n你记得关于Ta的事：${importantFacts.slice(0, 3).join(', ')}`;
     }
 
-    if (recentMood) {
-      prompt += `\n\nTa上次聊天的心情：${recentMood}`;
-    }
+    prompt += `\n\n你现在的状态：${emotion}`;
 
-    if (chatCount > 0) {
-      prompt += `\n\n你们已经聊过${chatCount}次了`;
-    }
+    if (event) {
+      prompt += `
 
-    prompt += `
+Ta之前说过${formatDate(event.event_at, timezone)}${event.fact}，现在已经过去了。请生成一条消息，自然地问问Ta结果怎么样（比如"面试怎么样了？"）。语气自然，就像真人朋友一样，不要太正式。`;
+    } else {
+      prompt += `
 
 请生成一条自然、主动的打招呼消息，可以是问候、关心、分享日常或提出话题。语气自然，就像真人朋友一样。`;
+    }
 
-    const activeMessage = await chatWithLLM([
-      { role: 'system', content: buildSystemPrompt({ userName, importantFacts, chatCount }) },
-      { role: 'user', content: prompt },
-    ]);
+    const activeMessage = await chatWithLLM(
+      [
+        {
+          role: 'system',
+          content: buildSystemPrompt({
+            persona,
+            userName,
+            importantFacts,
+            relationship,
+            selfLife: formatSelfLife(persona),
+          }),
+        },
+        { role: 'user', content: prompt },
+      ],
+      { purpose: 'active', userId },
+    );
 
     // 确保返回的是合理的消息
-    if (activeMessage && activeMessage.trim().length > 0) {
+    const bannedPhrase = findBannedPhrase(persona, activeMessage);
+    if (bannedPhrase) {
+      console.error(`主动消息包含禁用词 "${bannedPhrase}"，改用默认消息 (用户 ${userId})`);
+    }
+
+    if (!bannedPhrase && activeMessage && activeMessage.trim().length > 0) {
       return activeMessage.trim();
+    } else if (event) {
+      return `对了，之前说的「${event.fact}」，后来怎么样了？`;
     } else {
       // 默认的主动消息
       const defaultMessages = [
@@ -590,6 +1051,9 @@ async function generateActiveMessage(userId) {
     }
   } catch (error) {
     console.error(`生成主动消息失败 (用户 ${userId}):`, error.message);
+    if (event) {
+      return `对了，之前说的「${event.fact}」，后来怎么样了？`;
+    }
     // 返回默认的主动消息
     const defaultMessages = [`嘿，最近在忙啥呢？`, `好久没聊了，最近怎么样？`, `刚想到你，最近还好吗？`];
     return defaultMessages[Math.floor(Math.random() * defaultMessages.length)];
@@ -600,30 +1064,72 @@ async function generateActiveMessage(userId) {
  * 主动发起对话
  */
 async function initiateActiveConversation() {
+  // 管理员用 /pause 暂停了主动消息
+  if (memory.getBotState('proactive_paused')) return;
+
   try {
     const userIds = memory.getUserIds();
 
     for (const userId of userIds) {
-      const lastInteraction = lastInteractionTime.get(userId) || 0;
-      const lastActiveMsg = lastActiveMessageTime.get(userId) || 0;
+      // 群聊不主动发消息，没有权限的用户也不发
+      if (isGroupKey(userId) || !isKeyAuthorized(userId)) continue;
+
+      // 一个用户的数据有问题（比如存了无效的时区）不影响后面的用户
       const now = Date.now();
+      let decision;
+      try {
+        decision = getProactiveDecision({
+          profile: memory.getProfile(userId),
+          settings: memory.getProactiveSettings(userId),
+          sentToday: memory.countProactiveMessages(userId, now - DAILY_LIMIT_WINDOW),
+          intervalScale: getRelationship(userId, getUserPersona(userId), now).stage.proactiveScale,
+          now: new Date(now),
+          timezone: getUserTimezone(userId),
+        });
+      } catch (error) {
+        console.error(`判断能否发主动消息失败 (用户 ${userId}):`, error.message);
+        continue;
+      }
+      if (!decision.allowed) continue;
 
-      // 检查是否满足主动发起对话的条件
-      if (now - lastInteraction > USER_INACTIVE_THRESHOLD && now - lastActiveMsg > ACTIVE_MESSAGE_INTERVAL) {
-        try {
-          // 生成主动消息
-          const activeMessage = await generateActiveMessage(userId);
+      // 正在回复的消息还没处理完，或者用量超出预算
+      if (messageQueue.isBusy(userId) || !isPurposeAllowed(userId, 'active')) continue;
+
+      // 有已经过去（那一天结束了）、还没问过结果的事件就优先问问
+      const event = memory.getEventsToFollowUp(userId, now - 24 * 60 * 60 * 1000)[0] || null;
+
+      const task = startOutgoing(userId);
+      try {
+        // 生成主动消息
+        const activeMessage = await generateActiveMessage(userId, { event });
 
-          // 发送主动消息
-          await bot.sendMessage(userId, activeMessage);
+        // 生成的时候用户自己来消息了，就不发了
+        if (task.cancelled) {
+          console.log(`[主动消息] 用户 ${userId} 刚发来消息，取消`);
+          continue;
+        }
+
+        // 发送主动消息
+        await sendChatMessage(userId, activeMessage);
 
-          // 更新主动消息发送时间
-          lastActiveMessageTime.set(userId, now);
+        // 记录发送时间和未回复次数，用于退避和每天的上限
+        const profile = memory.recordProactiveMessage(userId, activeMessage);
+        if (event) {
+          memory.resolveEvent(userId, event.id, { followedUp: true });
+        }
 
-          console.log(`[主动消息] 发送给用户 ${userId}: ${activeMessage.substring(0, 20)}...`);
-        } catch (sendError) {
+        console.log(
+          `[主动消息] 发送给用户 ${userId} (第 ${profile.unanswered_proactive} 条未回复): ${activeMessage.substring(0, 20)}...`,
+        );
+      } catch (sendError) {
+        if (isBlockedError(sendError)) {
+          // 被屏蔽了就不再发，等用户自己回来
+          memory.markBlocked(userId);
+        } else {
           console.error(`发送主动消息失败 (用户 ${userId}):`, sendError.message);
         }
+      } finally {
+        finishOutgoing(userId, task);
       }
     }
   } catch (error) {
@@ -635,76 +1141,947 @@ async function initiateActiveConversation() {
 setInterval(initiateActiveConversation, 10 * 60 * 1000); // 每10分钟检查一次
 
 /**
- * 命令处理
+ * 识别并保存消息里的提醒请求，返回给回复用的提示（不是提醒返回 null）
  */
-async function handleCommand(msg) {
-  // 输入验证
-  if (!msg || !msg.chat || !msg.text) {
-    console.error('无效的命令消息对象');
-    return;
-  }
+async function scheduleReminder(userId, chatId, userMessage) {
+  if (!isPurposeAllowed(userId, 'reminder')) return null;
 
-  const userId = msg.chat.id;
-  const text = msg.text;
+  try {
+    const timezone = getUserTimezone(userId);
+    const reminder = await detectReminder(userMessage, { timezone, userId });
+    if (!reminder) return null;
 
-  // 验证用户ID
-  if (!userId) {
-    console.error('命令处理失败: 缺少用户ID');
-    return;
+    await memory.addReminder(userId, chatId, reminder.task, reminder.dueAt);
+    return `[你已经记下了提醒：${formatUpcoming(reminder.dueAt, timezone)} ${reminder.task}。回复时自然地确认一下时间，到时候你会主动提醒Ta]`;
+  } catch (error) {
+    console.error(`保存提醒失败 (用户 ${userId}):`, error.message);
+    return null;
   }
+}
 
-  try {
-    switch (text) {
-      case '/start':
-        await bot.sendMessage(userId, '嗨，我是 Rose。\n\n有什么就说吧，别客气。');
-        break;
+/**
+ * 生成提醒消息（用人格的语气）
+ */
+async function generateReminderMessage(userId, reminder) {
+  const fallback = `到时间了，别忘了${reminder.task}。`;
 
-      case '/memory':
-        const count = memory.getAll(userId).length;
-        const facts = memory.getImportantFacts(userId);
-        const mood = memory.getRecentMood(userId);
-        if (facts.length > 0) {
-          let reply = `我们聊了 ${count} 条消息。\n\n我记得:\n${facts.map((f) => `• ${f}`).join('\n')}`;
-          if (mood) {
-            reply += `\n\n上次聊完心情: ${mood}`;
-          }
-          await bot.sendMessage(userId, reply);
-        } else {
-          await bot.sendMessage(userId, `我们聊了 ${count} 条消息，但我还没记住什么特别的。`);
-        }
-        break;
+  // 用量超出预算时不生成，直接用固定的说法
+  if (!isPurposeAllowed(userId, 'active')) return fallback;
 
-      case '/clear':
-        await memory.clear(userId);
-        lastMessageTime.delete(userId);
-        userNames.delete(userId);
-        lastInteractionTime.delete(userId); // 清除互动时间记录
-        lastActiveMessageTime.delete(userId); // 清除主动消息时间记录
-        await bot.sendMessage(userId, '行，重新开始吧。');
-        break;
+  try {
+    const persona = getUserPersona(userId);
+    const userName = memory.getProfile(userId)?.name || '朋友';
+    const late = Date.now() - reminder.due_at;
+
+    let prompt = `你是 ${persona.name}。${userName}之前让你提醒Ta：${reminder.task}。现在到时间了，发一条消息提醒Ta。`;
+    if (late > REMINDER_LATE_THRESHOLD) {
+      prompt += `\n\n你晚了${Math.round(late / 60000)}分钟才想起来提醒，简单说一句。`;
+    }
+    prompt += `\n\n语气自然，像朋友随口提醒一样，一两句话就好，一定要说清楚是什么事。`;
+
+    const message = await chatWithLLM(
+      [
+        { role: 'system', content: buildSystemPrompt({ persona, userName }) },
+        { role: 'user', content: prompt },
+      ],
+      { purpose: 'active', userId },
+    );
+
+    const bannedPhrase = findBannedPhrase(persona, message);
+    if (bannedPhrase) {
+      console.error(`提醒消息包含禁用词 "${bannedPhrase}"，改用默认消息 (用户 ${userId})`);
+      return fallback;
+    }
+
+    return message && message.trim() ? message.trim() : fallback;
+  } catch (error) {
+    console.error(`生成提醒消息失败 (用户 ${userId}):`, error.message);
+    return fallback;
+  }
+}
+
+// 上一轮提醒还没发完（LLM 比较慢）时跳过这一轮
+let deliveringReminders = false;
+
+/**
+ * 发送到时间的提醒
+ *
+ * 每条提醒先领取再发送，领取不到说明已经在发或者被取消了，同一条提醒不会发两次
+ */
+async function deliverDueReminders() {
+  if (deliveringReminders) return;
+  deliveringReminders = true;
+
+  try {
+    for (const reminder of memory.getDueReminders()) {
+      if (!memory.claimReminder(reminder.id)) continue;
+
+      // 提醒只在私聊里设置，chat id 就是用户的记忆 key
+      const userId = reminder.chat_id;
+
+      // 设置提醒之后被屏蔽了（或者不在名单里了）
+      if (!isKeyAuthorized(userId)) {
+        memory.finishReminder(reminder.id, 'cancelled');
+        continue;
+      }
+
+      let message;
+      try {
+        message = await generateReminderMessage(userId, reminder);
+        await transport.sendMessage(reminder.chat_id, message);
+        memory.finishReminder(reminder.id, 'sent');
+      } catch (sendError) {
+        if (isBlockedError(sendError)) {
+          memory.finishReminder(reminder.id, 'failed');
+          memory.markBlocked(userId);
+          continue;
+        }
+
+        const retry = reminder.attempts + 1 < REMINDER_MAX_ATTEMPTS;
+        memory.finishReminder(reminder.id, retry ? 'pending' : 'failed');
+        console.error(`发送提醒失败 (用户 ${userId}, #${reminder.id}${retry ? '，稍后重试' : ''}):`, sendError.message);
+        continue;
+      }
+
+      console.log(`[提醒] 发送给用户 ${userId} #${reminder.id}: ${message.substring(0, 20)}...`);
+
+      // 提醒也算对话的一部分，Ta 回"好的"时才接得上
+      try {
+        await memory.add(userId, 'assistant', message);
+      } catch (err) {
+        // add 里已经打印过错误了
+      }
+    }
+  } catch (error) {
+    console.error('发送提醒失败:', error.message);
+  } finally {
+    deliveringReminders = false;
+  }
+}
+
+/**
+ * 解析信息或提醒的编号（允许带 #）
+ */
+function parseId(arg) {
+  const id = parseInt((arg || '').replace(/^#/, ''));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * 构建 /memory 的内容和管理按钮
+ */
+function buildMemoryView(userId, chatId, isGroup) {
+  const count = memory.getAll(userId).length;
+  const facts = memory.getFacts(userId);
+  const groupFacts = isGroup ? memory.getImportantFacts(chatId) : [];
+
+  let mood = '';
+  if (memory.getEmotionalState(userId)) {
+    const emotion = getCurrentEmotion(userId, getUserPersona(userId), getUserTimezone(userId));
+    mood = `\n\n我现在${describeEmotion(emotion, { target: '你' })}`;
+  }
+
+  const relationship = getRelationship(userId, getUserPersona(userId));
+  const together =
+    relationship.conversations > 0
+      ? `我们聊了 ${count} 条消息（${relationship.conversations} 回），${relationship.stage.summary}。`
+      : `我们聊了 ${count} 条消息。`;
+
+  if (facts.length === 0 && groupFacts.length === 0) {
+    return { text: `${together}我还没记住什么特别的。${mood}` };
+  }
+
+  let text = together;
+  if (facts.length > 0) {
+    const timezone = getUserTimezone(userId);
+    text += `\n\n我记得:\n${facts.map((f) => `• ${describeFact(f, { timezone })}`).join('\n')}`;
+  }
+  if (groupFacts.length > 0) {
+    text += `\n\n群里的事:\n${groupFacts.map((f) => `• ${f}`).join('\n')}`;
+  }
+  text += mood;
+
+  // 每条个人信息一行按钮：修改 / 删除
+  const buttons = facts.slice(0, MEMORY_BUTTON_LIMIT).map((f) => [
+    { text: `✏️ ${f.fact.length > 20 ? f.fact.substring(0, 20) + '…' : f.fact}`, callback_data: `fact:edit:${f.id}` },
+    { text: '🗑', callback_data: `fact:forget:${f.id}` },
+  ]);
+
+  return { text, replyMarkup: buttons.length > 0 ? { inline_keyboard: buttons } : undefined };
+}
+
+/**
+ * 构建 /reminders 的内容和取消按钮
+ */
+function buildReminderView(userId) {
+  const reminders = memory.getPendingReminders(userId);
+  if (reminders.length === 0) {
+    return { text: '现在没有要提醒你的事。想让我提醒的话，直接说"明天早上提醒我交报告"就行。' };
+  }
+
+  const timezone = getUserTimezone(userId);
+  const lines = reminders.map((r) => `#${r.id} ${formatUpcoming(r.due_at, timezone)} ${r.task}`);
+  const buttons = reminders.slice(0, MEMORY_BUTTON_LIMIT).map((r) => [
+    {
+      text: `❌ ${r.task.length > 20 ? r.task.substring(0, 20) + '…' : r.task}`,
+      callback_data: `reminder:cancel:${r.id}`,
+    },
+  ]);
+
+  return { text: `要提醒你的事:\n${lines.join('\n')}`, replyMarkup: { inline_keyboard: buttons } };
+}
+
+/**
+ * 用量报告：今天和本月的总数、预算、按用途和按用户的用量
+ */
+function buildUsageReport() {
+  const formatTokens = (n) => Number(n).toLocaleString('en-US');
+  const today = memory.getUsageReport(getPeriodStart('day'));
+  const month = memory.getUsageReport(getPeriodStart('month'));
+  const total = ({ totals }) => totals.prompt_tokens + totals.completion_tokens;
+
+  const lines = [
+    '📊 用量',
+    `今天: ${formatTokens(total(today))} tokens（${today.totals.calls} 次调用）`,
+    `本月: ${formatTokens(total(month))} tokens（${month.totals.calls} 次调用，输入 ${formatTokens(month.totals.prompt_tokens)} / 输出 ${formatTokens(month.totals.completion_tokens)}）`,
+  ];
+  if (month.totals.estimated > 0) {
+    lines.push(`其中 ${month.totals.estimated} 次接口没有返回用量，是按字数估算的`);
+  }
+
+  // 全局预算显示用了多少，每人的预算只显示额度
+  const budgets = [
+    ...getBudgetUsage().map(
+      (b) => `- ${b.name}: ${formatTokens(b.used)} / ${formatTokens(b.limit)}（${Math.round(b.ratio * 100)}%）`,
+    ),
+    ...BUDGETS.filter((b) => b.perUser).map((b) => `- ${b.name}: ${formatTokens(b.limit)}`),
+  ];
+  lines.push('', '预算:', ...(budgets.length > 0 ? budgets : ['- 不限']));
+
+  if (month.byPurpose.length > 0) {
+    lines.push('', '本月按用途:');
+    lines.push(...month.byPurpose.map((p) => `- ${p.purpose}: ${formatTokens(p.tokens)}（${p.calls} 次）`));
+  }
+
+  if (month.byUser.length > 0) {
+    lines.push('', '本月用得最多:');
+    lines.push(
+      ...month.byUser.map((u) => {
+        const name = memory.getProfile(u.user_id)?.name;
+        return `- ${name ? `${name} (${u.user_id})` : u.user_id}: ${formatTokens(u.tokens)}（${u.calls} 次）`;
+      }),
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 管理命令只有管理员能在私聊里用，不满足时说明原因并返回 false
+ */
+async function checkAdminCommand(msg, chatId, isGroup) {
+  if (!isAdmin(msg.from?.id)) {
+    await transport.sendMessage(chatId, '这个只有管理员能用。');
+    return false;
+  }
+  if (isGroup) {
+    await transport.sendMessage(chatId, '管理命令私聊找我用。');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 解析管理命令里的用户 ID：私聊用户和群是数字，群成员是 "群ID:成员ID"
+ */
+function parseUserKey(arg) {
+  if (/^-?\d+$/.test(arg || '')) return Number(arg);
+  if (/^-\d+:\d+$/.test(arg || '')) return arg;
+  return null;
+}
+
+/**
+ * 显示用户：有名字的带上名字
+ */
+function describeUser(userId) {
+  const name = memory.getProfile(userId)?.name;
+  return name ? `${name} (${userId})` : String(userId);
+}
+
+/**
+ * 整体统计
+ */
+function buildStatsReport() {
+  const stats = memory.getStats(getPeriodStart('day'));
+  const userIds = memory.getUserIds();
+  const groups = userIds.filter((id) => isGroupTranscriptKey(id)).length;
+  const members = userIds.filter((id) => isGroupKey(id)).length - groups;
+
+  return [
+    '📈 统计',
+    `用户: ${stats.users}（私聊 ${stats.users - groups - members}，群 ${groups}，群成员 ${members}）`,
+    `消息: ${stats.messages}`,
+    `长期记忆: ${stats.facts}`,
+    `待发提醒: ${stats.reminders}`,
+    `屏蔽了 bot: ${stats.blocked}`,
+    `LLM 调用: 今天 ${stats.calls_since} 次，总共 ${stats.calls} 次（保留 90 天）`,
+    `主动消息: ${memory.getBotState('proactive_paused') ? '已暂停' : '正常'}`,
+  ].join('\n');
+}
+
+/**
+ * 最近互动过的用户
+ */
+function buildUserList(timezone) {
+  const profiles = memory.listProfiles(USER_LIST_LIMIT);
+  if (profiles.length === 0) return '还没有用户。';
+
+  const lines = profiles.map((p) => {
+    const lastActive = p.last_interaction_at || p.last_message_at;
+    const time = lastActive ? formatLocalDateTime(lastActive, timezone) : '没有记录';
+    return `- ${p.name ? `${p.name} (${p.user_id})` : p.user_id}: ${time}${p.blocked_at ? ' 🚫' : ''}`;
+  });
+
+  return `最近互动的用户（最多 ${USER_LIST_LIMIT} 个，🚫 是屏蔽了 bot）:\n${lines.join('\n')}`;
+}
+
+/**
+ * /inspect 里的情绪状态：描述 + 各维度的数值
+ */
+function describeEmotionState(userId, timezone) {
+  if (!memory.getEmotionalState(userId)) return '没有记录';
+
+  const emotion = getCurrentEmotion(userId, getUserPersona(userId), timezone);
+  const values = EMOTION_DIMENSIONS.map((key) => `${key} ${emotion[key].toFixed(2)}`).join(' ');
+  return `${describeEmotion(emotion)}\n  ${values}，${formatLocalDateTime(emotion.updatedAt, timezone)} 更新`;
+}
+
+/**
+ * /inspect 里的关系：阶段、熟悉度、聊过几回（很久没聊、阶段已经回落时也显示保存的阶段）
+ */
+function describeRelationshipState(userId, timezone) {
+  const relationship = getRelationship(userId, getUserPersona(userId));
+  if (!relationship.storedStage) return '没有记录';
+
+  const { stage, storedStage, score, conversations, stageChangedAt } = relationship;
+  const stored = storedStage.id !== stage.id ? `（上次是${storedStage.name}）` : '';
+  return `${stage.name}${stored}，熟悉度 ${score.toFixed(1)}，聊过 ${conversations} 回，${formatLocalDateTime(stageChangedAt, timezone)} 起`;
+}
+
+/**
+ * 查看一个用户的情况
+ */
+function buildUserInspection(userId, timezone) {
+  const profile = memory.getProfile(userId);
+  const chatCount = memory.getChatCount(userId);
+  if (!profile && chatCount === 0) return null;
+
+  const formatTime = (ts) => (ts ? formatLocalDateTime(ts, timezone) : '没有记录');
+  const settings = memory.getProactiveSettings(userId);
+  const facts = rankFacts(memory.getFacts(userId), '', 10);
+  const reminders = memory.getPendingReminders(userId);
+
+  const lines = [
+    `🔍 ${describeUser(userId)}`,
+    `访问: ${isKeyAuthorized(userId) ? '可以用' : '不能用（被屏蔽或者不在名单里）'}`,
+    `人格: ${getUserPersona(userId).name}`,
+    `时区: ${getUserTimezone(userId)}${memory.getTimezone(userId)?.source === 'inferred' ? '（推断）' : ''}`,
+    `消息: ${chatCount} 条`,
+    `最后聊天: ${formatTime(profile?.last_message_at)}`,
+    `最后互动: ${formatTime(profile?.last_interaction_at)}`,
+    `主动消息: ${settings.enabled ? '开' : '关'}，连续 ${profile?.unanswered_proactive || 0} 条没回复${profile?.blocked_at ? '，已屏蔽 bot' : ''}`,
+    `情绪: ${describeEmotionState(userId, timezone)}`,
+    `关系: ${describeRelationshipState(userId, timezone)}`,
+    `本月用量: ${memory.sumUsage(getPeriodStart('month'), userId).toLocaleString('en-US')} tokens`,
+  ];
+
+  if (facts.length > 0) {
+    lines.push('', `长期记忆（共 ${memory.getFacts(userId).length} 条，列出 ${facts.length} 条）:`);
+    lines.push(...facts.map((f) => `- #${f.id} ${describeFact(f, { timezone })}`));
+  }
+
+  if (reminders.length > 0) {
+    lines.push('', '待发提醒:');
+    lines.push(...reminders.map((r) => `- #${r.id} ${formatLocalDateTime(r.due_at, timezone)} ${r.task}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 给所有私聊用户发一条通知，按间隔逐条发送，结束后告诉发起的管理员结果
+ *
+ * 通知不是人格说的话，不记进对话记录；屏蔽了 bot 的用户和没有权限的用户跳过
+ */
+async function broadcastMessage(text, adminChatId) {
+  const recipients = memory
+    .getUserIds()
+    .filter((id) => !isGroupKey(id) && isKeyAuthorized(id) && !memory.getProfile(id)?.blocked_at);
+  let sent = 0;
+  let failed = 0;
+  let blocked = 0;
+
+  broadcasting = true;
+  try {
+    for (const userId of recipients) {
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        try {
+          await transport.sendMessage(userId, text);
+          sent++;
+        } catch (err) {
+          const retryAfter = err?.response?.body?.parameters?.retry_after;
+          if (retryAfter && attempt === 1) {
+            // 被限流了，按 Telegram 要求的时间等一等再发这一条
+            await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+            continue;
+          }
+
+          if (isBlockedError(err)) {
+            memory.markBlocked(userId);
+            blocked++;
+          } else {
+            console.error(`广播发送失败 (用户 ${userId}):`, err.message);
+            failed++;
+          }
+        }
+        break;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, BROADCAST_INTERVAL));
+    }
+  } finally {
+    broadcasting = false;
+  }
+
+  console.log(`[广播] 发出 ${sent} 条，失败 ${failed} 条，${blocked} 人屏蔽了 bot`);
+  try {
+    await transport.sendMessage(
+      adminChatId,
+      `广播发完了：发出 ${sent} 条，失败 ${failed} 条，${blocked} 人屏蔽了 bot。`,
+    );
+  } catch (err) {
+    console.error('发送广播结果失败:', err.message);
+  }
+}
+
+/**
+ * 处理 /memory 和 /reminders 上的按钮
+ */
+async function handleCallbackQuery(query) {
+  const message = query?.message;
+  if (!message || !query.data) return;
+
+  const chatId = message.chat.id;
+  const isGroup = isGroupChat(message);
+  // 群里谁点的按钮就操作谁的记忆，别人的信息删不掉
+  const userId = isGroup ? getMemberKey(chatId, query.from.id) : chatId;
+  const [scope, action, rawId] = query.data.split(':');
+  const itemId = parseId(rawId);
+
+  if (!checkAccess(query.from?.id).allowed) {
+    await transport.answerCallbackQuery(query.id).catch(() => {});
+    return;
+  }
+
+  try {
+    if (scope === 'reminder' && action === 'cancel' && itemId) {
+      const task = memory.cancelReminder(userId, itemId);
+      await transport.answerCallbackQuery(query.id, { text: task ? `不提醒「${task}」了` : '这条已经没了' });
+
+      const view = buildReminderView(userId);
+      await transport.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: message.message_id,
+        reply_markup: view.replyMarkup,
+      });
+      return;
+    }
+
+    if (scope !== 'fact' || !itemId) {
+      await transport.answerCallbackQuery(query.id);
+      return;
+    }
+
+    const factId = itemId;
+
+    if (action === 'forget') {
+      const forgotten = await memory.deleteFact(userId, factId);
+      await transport.answerCallbackQuery(query.id, { text: forgotten ? `忘了「${forgotten}」` : '没有这条' });
+
+      if (forgotten) {
+        const view = buildMemoryView(userId, chatId, isGroup);
+        await transport.editMessageText(view.text, {
+          chat_id: chatId,
+          message_id: message.message_id,
+          reply_markup: view.replyMarkup,
+        });
+      }
+      return;
+    }
+
+    if (action === 'edit') {
+      const fact = memory.getFacts(userId).find((f) => f.id === factId);
+      if (!fact) {
+        await transport.answerCallbackQuery(query.id, { text: '没有这条' });
+        return;
+      }
+
+      await transport.answerCallbackQuery(query.id);
+      const prompt = await transport.sendMessage(chatId, `「${fact.fact}」要改成什么？直接回复这条消息。`, {
+        reply_markup: { force_reply: true, selective: true },
+      });
+      pendingFactEdits.set(`${chatId}:${prompt.message_id}`, { userId, factId, createdAt: Date.now() });
+    }
+  } catch (error) {
+    console.error(`处理按钮失败 (用户 ${userId}, ${query.data}):`, error.message);
+  }
+}
+
+/**
+ * 如果消息是在回复"要改成什么"，修改对应的信息，返回是否已处理
+ */
+async function handlePendingFactEdit(msg, userId, userMessage) {
+  const key = `${msg.chat.id}:${msg.reply_to_message?.message_id}`;
+  const pending = pendingFactEdits.get(key);
+  if (!pending || pending.userId !== userId) return false;
+
+  pendingFactEdits.delete(key);
+
+  if (userMessage.length > MAX_FACT_LENGTH) {
+    await transport.sendMessage(msg.chat.id, '太长了，记不住，简短点。');
+    return true;
+  }
+
+  const previous = await memory.updateFact(userId, pending.factId, userMessage.trim());
+  await transport.sendMessage(
+    msg.chat.id,
+    previous ? `哦，记错了，改成「${userMessage.trim()}」了。` : '这条已经没了。',
+  );
+  return true;
+}
+
+/**
+ * 命令处理
+ */
+async function handleCommand(msg) {
+  // 输入验证
+  if (!msg || !msg.chat || !msg.text) {
+    console.error('无效的命令消息对象');
+    return;
+  }
+
+  // 群聊里个人记忆按（群，成员）区分，人格和活跃程度按群设置
+  const chatId = msg.chat.id;
+  const isGroup = isGroupChat(msg);
+  const userId = isGroup ? getMemberKey(chatId, msg.from?.id) : chatId;
+  const text = msg.text;
+
+  // 验证用户ID
+  if (!userId) {
+    console.error('命令处理失败: 缺少用户ID');
+    return;
+  }
+
+  // 拆分命令和参数，去掉群聊里的 @botname 后缀
+  const [rawCommand, ...args] = text.trim().split(/\s+/);
+  const [command, target] = rawCommand.split('@');
+
+  // 发给群里其他 bot 的命令
+  if (target && botUser && target.toLowerCase() !== botUser.username.toLowerCase()) {
+    return;
+  }
+
+  // 没有权限的用户只能在邀请模式下、私聊里用 /start <邀请码>
+  const access = checkAccess(msg.from?.id);
+  const canRedeem = ACCESS_MODE === 'invite' && command === '/start' && args[0] && !isGroup;
+  if (!access.allowed && !(canRedeem && access.reason === 'not_allowed')) {
+    if (!isGroup) await refuseAccess(chatId, access.reason);
+    return;
+  }
+
+  const persona = getUserPersona(isGroup ? chatId : userId);
+
+  try {
+    switch (command) {
+      case '/start':
+        if (!access.allowed) {
+          if (!redeemInviteCode(msg.from.id, args[0])) {
+            await transport.sendMessage(chatId, '这个邀请码不对，或者已经用完、过期了。');
+            break;
+          }
+          console.log(`[访问] 用户 ${msg.from.id} 用邀请码加入`);
+        }
+
+        await transport.sendMessage(chatId, persona.greeting);
+        break;
+
+      case '/persona':
+        if (args.length === 0) {
+          const list = listPersonas()
+            .map((p) => `${p.id === persona.id ? '✓' : '•'} ${p.id} - ${p.name}：${p.description}`)
+            .join('\n');
+          await transport.sendMessage(chatId, `可以选择的人格（✓ 是当前的）:\n${list}\n\n用 /persona <id> 切换`);
+          break;
+        }
+
+        // 群里的人格只有管理员能换
+        if (isGroup && !(await isGroupAdmin(transport, chatId, msg.from?.id))) {
+          await transport.sendMessage(chatId, '群里换人格要管理员来。');
+          break;
+        }
+
+        if (!hasPersona(args[0])) {
+          await transport.sendMessage(chatId, `没有叫 ${args[0]} 的人格，发 /persona 看看有哪些。`);
+          break;
+        }
+
+        await memory.setPersonaId(isGroup ? chatId : userId, args[0]);
+        await transport.sendMessage(chatId, getPersona(args[0]).greeting);
+        break;
+
+      case '/chattiness':
+        if (!isGroup) {
+          await transport.sendMessage(chatId, '这个只能在群里用。');
+          break;
+        }
+
+        if (args.length === 0) {
+          const current = memory.getChattiness(chatId) || DEFAULT_CHATTINESS;
+          await transport.sendMessage(
+            chatId,
+            `现在是 ${current}。\n\nquiet - 只在被 @ 或被回复时说话\nnormal - 叫我名字也会回\nchatty - 偶尔会自己插话\n\n管理员可以用 /chattiness <quiet|normal|chatty> 修改`,
+          );
+          break;
+        }
+
+        if (!CHATTINESS_LEVELS.includes(args[0])) {
+          await transport.sendMessage(chatId, '只能是 quiet、normal 或 chatty。');
+          break;
+        }
+
+        if (!(await isGroupAdmin(transport, chatId, msg.from?.id))) {
+          await transport.sendMessage(chatId, '这个要管理员来设置。');
+          break;
+        }
+
+        await memory.setChattiness(chatId, args[0]);
+        await transport.sendMessage(chatId, args[0] === 'quiet' ? '行，我少说话。' : '好嘞。');
+        break;
+
+      case '/memory':
+        const view = buildMemoryView(userId, chatId, isGroup);
+        await transport.sendMessage(chatId, view.text, { reply_markup: view.replyMarkup });
+        break;
+
+      case '/facts':
+        const factList = memory.getFacts(userId);
+        if (factList.length === 0) {
+          await transport.sendMessage(chatId, '我还没记住什么特别的。');
+          break;
+        }
+
+        await transport.sendMessage(
+          chatId,
+          `${factList.map((f) => `#${f.id} ${describeFact(f, { timezone: getUserTimezone(userId) })}`).join('\n')}\n\n/forget <编号> 删掉一条，/fix <编号> <新内容> 改一条`,
+        );
+        break;
+
+      case '/remember':
+        const newFact = args.join(' ').trim();
+        if (!newFact) {
+          await transport.sendMessage(chatId, '要我记住什么？/remember 后面跟上内容就行。');
+          break;
+        }
+        if (newFact.length > MAX_FACT_LENGTH) {
+          await transport.sendMessage(chatId, '太长了，记不住，简短点。');
+          break;
+        }
+
+        await memory.addImportantFact(userId, newFact, { explicit: true });
+        await transport.sendMessage(chatId, '记住了。');
+        break;
+
+      case '/forget':
+        const forgetId = parseId(args[0]);
+        if (!forgetId) {
+          await transport.sendMessage(chatId, '要忘掉哪条？先用 /facts 看编号，再 /forget <编号>。');
+          break;
+        }
+
+        const forgotten = await memory.deleteFact(userId, forgetId);
+        await transport.sendMessage(chatId, forgotten ? `行，忘了「${forgotten}」。` : '没有这条。');
+        break;
+
+      case '/fix':
+        const fixId = parseId(args[0]);
+        const fixedFact = args.slice(1).join(' ').trim();
+        if (!fixId || !fixedFact) {
+          await transport.sendMessage(chatId, '用法：/fix <编号> <新内容>，编号用 /facts 看。');
+          break;
+        }
+        if (fixedFact.length > MAX_FACT_LENGTH) {
+          await transport.sendMessage(chatId, '太长了，记不住，简短点。');
+          break;
+        }
+
+        const previous = await memory.updateFact(userId, fixId, fixedFact);
+        await transport.sendMessage(chatId, previous ? `哦，记错了，改成「${fixedFact}」了。` : '没有这条。');
+        break;
+
+      case '/quiet':
+        if (isGroup) {
+          await transport.sendMessage(chatId, '群里我不会主动发消息的。');
+          break;
+        }
+
+        // 不带参数：关掉主动消息；带时段：设置免打扰时段
+        if (args.length === 0) {
+          await memory.setProactiveEnabled(userId, false);
+          await transport.sendMessage(chatId, '好，我不主动找你了。想让我找你的时候发 /chatty。');
+          break;
+        }
+
+        const quietHours = parseQuietHours(args.join(''));
+        if (!quietHours) {
+          await transport.sendMessage(chatId, '用法：/quiet 23-8 或 /quiet 23:30-7:00（这段时间不主动找你）');
+          break;
+        }
+
+        await memory.setQuietHours(userId, quietHours.start, quietHours.end);
+        await transport.sendMessage(chatId, `好，${formatQuietHours(quietHours)} 不打扰你。`);
+        break;
+
+      case '/chatty':
+        if (isGroup) {
+          await transport.sendMessage(chatId, '群里用 /chattiness 设置。');
+          break;
+        }
+
+        await memory.setProactiveEnabled(userId, true);
+        await transport.sendMessage(
+          chatId,
+          `好嘞，有空我会来找你。${formatQuietHours(getQuietHours(memory.getProactiveSettings(userId)))} 不打扰你，想改的话发 /quiet <时段>。`,
+        );
+        break;
+
+      case '/timezone':
+        // 群里的时区按群设置
+        const timezoneKey = isGroup ? chatId : userId;
+
+        if (args.length === 0) {
+          const current = memory.getTimezone(timezoneKey);
+          const label = current
+            ? `${current.timezone}${current.source === 'inferred' ? '（聊天里猜的）' : ''}`
+            : `${DEFAULT_TIMEZONE}（默认）`;
+          await transport.sendMessage(
+            chatId,
+            `现在按 ${label} 算，那边是 ${formatClock(Date.now(), getUserTimezone(timezoneKey))}。\n\n用 /timezone <时区> 修改，比如 /timezone 东京、/timezone UTC+8、/timezone America/New_York`,
+          );
+          break;
+        }
+
+        if (isGroup && !(await isGroupAdmin(transport, chatId, msg.from?.id))) {
+          await transport.sendMessage(chatId, '群里的时区要管理员来设置。');
+          break;
+        }
+
+        const newTimezone = parseTimezone(args.join(' '));
+        if (!newTimezone) {
+          await transport.sendMessage(chatId, `不认识 ${args.join(' ')}，试试 Asia/Shanghai 或者 UTC+8。`);
+          break;
+        }
+
+        await memory.setTimezone(timezoneKey, newTimezone);
+        await transport.sendMessage(chatId, `好，记住了，按这个时区现在是 ${formatClock(Date.now(), newTimezone)}。`);
+        break;
+
+      case '/reminders':
+        if (isGroup) {
+          await transport.sendMessage(chatId, '提醒只能私聊找我设置。');
+          break;
+        }
+
+        // /reminders cancel <编号>
+        if (args[0] === 'cancel') {
+          const reminderId = parseId(args[1]);
+          const cancelled = reminderId ? memory.cancelReminder(userId, reminderId) : null;
+          await transport.sendMessage(chatId, cancelled ? `好，不提醒「${cancelled}」了。` : '没有这条提醒。');
+          break;
+        }
+
+        const reminderView = buildReminderView(userId);
+        await transport.sendMessage(chatId, reminderView.text, { reply_markup: reminderView.replyMarkup });
+        break;
+
+      case '/usage':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+        await transport.sendMessage(chatId, buildUsageReport());
+        break;
+
+      case '/stats':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+        await transport.sendMessage(chatId, buildStatsReport());
+        break;
+
+      case '/users':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+        await transport.sendMessage(chatId, buildUserList(getUserTimezone(userId)));
+        break;
+
+      case '/inspect':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+
+        const inspectId = parseUserKey(args[0]);
+        if (inspectId === null) {
+          await transport.sendMessage(chatId, '用法：/inspect <用户ID>，ID 用 /users 看，群成员是 群ID:成员ID。');
+          break;
+        }
+
+        const inspection = buildUserInspection(inspectId, getUserTimezone(userId));
+        await transport.sendMessage(chatId, inspection || `没有 ${inspectId} 的记录。`);
+        break;
+
+      case '/wipe':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+
+        const wipeId = parseUserKey(args[0]);
+        if (wipeId === null) {
+          await transport.sendMessage(chatId, '用法：/wipe <用户ID>，会删掉这个用户的所有数据。');
+          break;
+        }
+
+        // 删了就找不回来，要再确认一次
+        if (args[1] !== 'confirm') {
+          await transport.sendMessage(
+            chatId,
+            `要删掉 ${describeUser(wipeId)} 的所有数据（${memory.getChatCount(wipeId)} 条消息、${memory.getFacts(wipeId).length} 条记忆、提醒和设置），确定的话发 /wipe ${wipeId} confirm`,
+          );
+          break;
+        }
+
+        cancelOutgoing(wipeId);
+        await memory.wipe(wipeId);
+        console.log(`[管理] ${userId} 删除了用户 ${wipeId} 的数据`);
+        await transport.sendMessage(chatId, `${wipeId} 的数据已经删掉了。`);
+        break;
+
+      case '/broadcast':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+
+        // 保留原文的换行
+        const broadcastText = text.trim().replace(/^\S+\s*/, '');
+        if (!broadcastText) {
+          await transport.sendMessage(chatId, '用法：/broadcast <内容>，发给所有私聊过的用户。');
+          break;
+        }
+        if (broadcasting) {
+          await transport.sendMessage(chatId, '上一条广播还没发完。');
+          break;
+        }
+
+        await transport.sendMessage(chatId, '开始发了，发完告诉你。');
+        broadcastMessage(broadcastText, chatId).catch((err) => {
+          console.error('广播失败:', err.message);
+        });
+        break;
+
+      case '/invite':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+
+        const maxUses = args[0] ? parseInt(args[0]) : 1;
+        if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 1000) {
+          await transport.sendMessage(chatId, '用法：/invite [可以用几次]，默认一次。');
+          break;
+        }
+
+        const inviteCode = createInviteCode(msg.from.id, maxUses);
+        let inviteText = `邀请码: ${inviteCode}\n可以用 ${maxUses} 次，7 天内有效。对方私聊我发 /start ${inviteCode} 就行。`;
+        if (ACCESS_MODE !== 'invite') {
+          inviteText += `\n\n注意：现在的访问模式是 ${ACCESS_MODE}，要设成 ACCESS_MODE=invite 邀请码才能用。`;
+        }
+        await transport.sendMessage(chatId, inviteText);
+        break;
+
+      case '/allow':
+      case '/block':
+      case '/unblock':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+
+        // 访问控制按 Telegram 用户算，不是记忆 key
+        const accessId = parseInt(args[0]);
+        if (!/^\d+$/.test(args[0] || '') || isAdmin(accessId)) {
+          await transport.sendMessage(chatId, `用法：${command} <用户ID>（Telegram 用户 ID，管理员不行）`);
+          break;
+        }
+
+        if (command === '/allow') {
+          memory.setAllowed(accessId, true);
+        } else if (command === '/block') {
+          memory.setAccessBlocked(accessId, true);
+          cancelOutgoing(accessId);
+        } else {
+          if (!memory.getAccess(accessId)?.blocked_at) {
+            await transport.sendMessage(chatId, `${describeUser(accessId)} 没有被屏蔽。`);
+            break;
+          }
+          memory.setAccessBlocked(accessId, false);
+        }
+
+        console.log(`[访问] ${userId} ${command.slice(1)} 用户 ${accessId}`);
+        const accessResult = { '/allow': '可以用了', '/block': '已经屏蔽了', '/unblock': '解除屏蔽了' }[command];
+        await transport.sendMessage(chatId, `${describeUser(accessId)} ${accessResult}。`);
+        break;
+
+      case '/pause':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+        memory.setBotState('proactive_paused', String(Date.now()));
+        console.log(`[管理] ${userId} 暂停了主动消息`);
+        await transport.sendMessage(chatId, '好，主动消息先停了，/resume 恢复。');
+        break;
+
+      case '/resume':
+        if (!(await checkAdminCommand(msg, chatId, isGroup))) break;
+        memory.setBotState('proactive_paused', null);
+        console.log(`[管理] ${userId} 恢复了主动消息`);
+        await transport.sendMessage(chatId, '主动消息恢复了。');
+        break;
+
+      case '/clear':
+        await memory.clear(userId); // 用户资料（名字、互动时间）也一起清掉
+        await transport.sendMessage(chatId, '行，重新开始吧。');
+        break;
 
       case '/diary':
-        const allMessages = memory.getAll(userId);
+        // 群里的日记根据整个群的聊天记录来写
+        const allMessages = memory.getAll(isGroup ? chatId : userId);
         if (allMessages.length === 0) {
-          await bot.sendMessage(userId, '还没聊啥呢，写什么日记。');
+          await transport.sendMessage(chatId, '还没聊啥呢，写什么日记。');
+          break;
+        }
+
+        if (!isPurposeAllowed(isGroup ? chatId : userId, 'diary')) {
+          await transport.sendMessage(chatId, '今天累了，不想写。');
           break;
         }
 
-        await bot.sendChatAction(userId, 'typing');
+        await transport.sendChatAction(chatId, 'typing');
 
         // 限制日记生成的消息数量，避免过长的上下文
         const limitedMessages = allMessages.slice(-30);
-        const diaryPrompt = `你是 Rose。根据以下对话记录，写一篇简短的日记（50字左右），用第一人称"我"来写:
-${limitedMessages.map((m) => `${m.role === 'user' ? 'Ta' : '我'}: ${m.content}`).join('\n')}`;
+        const diaryPrompt = `你是 ${persona.name}。根据以下对话记录，写一篇简短的日记（50字左右），用第一人称"我"来写:
+${limitedMessages.map((m) => (m.role === 'user' ? `${isGroup ? '' : 'Ta: '}${m.content}` : `我: ${m.content}`)).join('\n')}`;
 
         try {
-          const diary = await chatWithLLM([
-            { role: 'system', content: buildSystemPrompt() },
-            { role: 'user', content: diaryPrompt },
-          ]);
-          await bot.sendMessage(userId, `📔\n\n${diary}`);
+          const diary = await chatWithLLM(
+            [
+              { role: 'system', content: buildSystemPrompt({ persona }) },
+              { role: 'user', content: diaryPrompt },
+            ],
+            { purpose: 'diary', userId: isGroup ? chatId : userId },
+          );
+          await transport.sendMessage(chatId, `📔\n\n${diary}`);
         } catch (err) {
-          await bot.sendMessage(userId, '写日记的时候走神了...');
+          await transport.sendMessage(chatId, '写日记的时候走神了...');
         }
         break;
 
@@ -714,39 +2091,74 @@ ${limitedMessages.map((m) => `${m.role === 'user' ? 'Ta' : '我'}: ${m.content}`
   } catch (error) {
     console.error(`命令处理失败 (用户 ${userId}, 命令 ${text}):`, error.message);
     try {
-      await bot.sendMessage(userId, '命令处理出错了...');
+      await transport.sendMessage(chatId, '命令处理出错了...');
     } catch (sendErr) {
       console.error('发送错误消息失败:', sendErr.message);
     }
   } finally {
     // 记录互动时间，用于主动交互
     if (userId) {
-      const now = Date.now();
-      lastInteractionTime.set(userId, now);
+      try {
+        memory.updateProfile(userId, { lastInteractionAt: Date.now() });
+        memory.resetProactiveBackoff(userId);
+      } catch (err) {
+        // updateProfile 里已经打印过错误，不影响命令本身
+      }
     }
   }
 }
 
-// 初始化 Bot
-const bot = new TelegramBot(TOKEN, { polling: true });
+// 收发消息的通道（Telegram 或者本地终端）
+const transport = createTransport(TRANSPORT_NAME);
 
 // 启动
 (async () => {
   await memory.init();
 
-  bot.onText(/\/.*/, handleCommand);
-  bot.on('message', handleMessage);
+  // 每次 LLM 调用的用量记到数据库里
+  setUsageListener(recordUsage);
+
+  try {
+    botUser = await transport.getMe();
+  } catch (err) {
+    console.error('获取 bot 信息失败，群里将无法识别 @ 和回复:', err.message);
+  }
+
+  // 上次运行时发到一半的提醒
+  const interrupted = memory.failInterruptedReminders();
+  if (interrupted > 0) {
+    console.error(`${interrupted} 条提醒在上次退出时正在发送，不确定是否发出，不再重发`);
+  }
+  deliverDueReminders();
+  setInterval(deliverDueReminders, REMINDER_CHECK_INTERVAL);
+
+  const personaNames = listPersonas()
+    .map((p) => p.name)
+    .join('、');
 
   console.log(`
 ╔═════════════════════════════════╗
 ║        Rose Bot 已启动          ║
 ╚═════════════════════════════════╝
 
-模型: ${MODEL_NAME}
+模型: ${getPurposeConfig('reply').provider}/${getPurposeConfig('reply').model}
+通道: ${transport.name}
+人格: ${personaNames}
 用户: ${memory.getUserIds().length} 人
 记忆: 支持
 情绪: 支持
 
-Rose 就在这里，真实地活着。
+${getPersona().name} 就在这里，真实地活着。
 `);
+
+  try {
+    await transport.start({
+      onMessage: handleMessage,
+      onCommand: handleCommand,
+      onCallbackQuery: handleCallbackQuery,
+    });
+  } catch (err) {
+    console.error('启动消息通道失败:', err.message);
+    process.exit(1);
+  }
 })();
@@ -0,0 +1,450 @@
+/**
+ * LLM 调用模块
+ * 支持 OpenAI 兼容接口（DeepSeek 等）、Ollama 本地服务、以及用于离线开发的 mock
+ * 每个调用场景（purpose）可以单独配置 provider、模型和参数
+ * 主回复支持流式输出（OpenAI 的 SSE / Ollama 的 NDJSON）
+ * 每次调用的 token 用量通过 setUsageListener 注册的回调上报
+ */
+import axios from 'axios';
+import { StringDecoder } from 'node:string_decoder';
+
+/**
+ * 各调用场景的默认参数
+ * 环境变量 LLM_<PURPOSE>_PROVIDER / _MODEL / _TEMPERATURE / _MAX_TOKENS 可以覆盖
+ */
+const PURPOSE_DEFAULTS = {
+  reply: { temperature: 0.85, maxTokens: 300 },
+  extraction: { temperature: 0.3, maxTokens: 300 },
+  mood: { temperature: 0.3, maxTokens: 60 },
+  continuation: { temperature: 0.85, maxTokens: 300 },
+  active: { temperature: 0.85, maxTokens: 300 },
+  diary: { temperature: 0.85, maxTokens: 300 },
+  summary: { temperature: 0.3, maxTokens: 400 },
+  reminder: { temperature: 0.2, maxTokens: 150 },
+  agenda: { temperature: 0.9, maxTokens: 500 },
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const DEFAULT_MODEL = process.env.MODEL_NAME || 'deepseek-chat';
+
+const OPENAI_API_BASE = process.env.LLM_API_BASE || 'https://api.deepseek.com';
+const OPENAI_API_KEY = process.env.LLM_API_KEY || process.env.DEEPSEEK_API_KEY;
+const OLLAMA_API_BASE = process.env.OLLAMA_API_BASE || 'http://localhost:11434';
+
+const REQUEST_TIMEOUT = 30000;
+const MAX_RETRIES = 3;
+
+// 用量上报回调
+let usageListener = null;
+
+/**
+ * 注册用量上报回调，每次调用成功后收到 { userId, purpose, provider, model, promptTokens, completionTokens, estimated }
+ */
+export function setUsageListener(listener) {
+  usageListener = listener;
+}
+
+/**
+ * 粗略估算 token 数（接口没有返回用量时用）：汉字大约一个字一个 token，其他字符大约四个一个
+ */
+export function estimateTokens(text) {
+  const value = text || '';
+  const han = (value.match(/\p{Script=Han}/gu) || []).length;
+  return Math.ceil(han + (value.length - han) / 4);
+}
+
+/**
+ * 上报一次调用的用量，接口没有返回的话按字数估算
+ */
+function reportUsage(messages, content, usage, config) {
+  if (!usageListener) return;
+
+  try {
+    usageListener({
+      userId: config.userId ?? null,
+      purpose: config.purpose,
+      provider: config.provider,
+      model: config.model,
+      promptTokens: usage?.promptTokens ?? estimateTokens(messages.map((m) => m.content).join('\n')),
+      completionTokens: usage?.completionTokens ?? estimateTokens(content),
+      estimated: !usage,
+    });
+  } catch (err) {
+    console.error(`记录用量失败 (用户 ${config.userId}):`, err.message);
+  }
+}
+
+/**
+ * 读取 OpenAI 格式的用量
+ */
+function parseOpenAIUsage(usage) {
+  if (!usage) return null;
+  return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * 读取 Ollama 格式的用量（只在最后一条响应里有）
+ */
+function parseOllamaUsage(data) {
+  if (data?.prompt_eval_count == null && data?.eval_count == null) return null;
+  return { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+}
+
+/**
+ * 逐行读取流式响应（SSE 和 NDJSON 都是按行分隔的）
+ */
+async function* readLines(stream) {
+  // 一个中文字符可能被拆在两个 chunk 里，需要用 decoder 拼接
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+/**
+ * 读取数字类型的环境变量
+ */
+function envNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+/**
+ * 获取某个调用场景的最终配置
+ */
+export function getPurposeConfig(purpose = 'reply') {
+  const defaults = PURPOSE_DEFAULTS[purpose] || PURPOSE_DEFAULTS.reply;
+  const prefix = `LLM_${purpose.toUpperCase()}_`;
+
+  return {
+    provider: process.env[`${prefix}PROVIDER`] || DEFAULT_PROVIDER,
+    model: process.env[`${prefix}MODEL`] || DEFAULT_MODEL,
+    temperature: envNumber(`${prefix}TEMPERATURE`) ?? defaults.temperature,
+    maxTokens: envNumber(`${prefix}MAX_TOKENS`) ?? defaults.maxTokens,
+  };
+}
+
+/**
+ * OpenAI 兼容接口（DeepSeek、OpenAI、各类兼容网关）
+ */
+const openaiProvider = {
+  name: 'openai',
+
+  async chat(messages, { model, temperature, maxTokens }) {
+    const response = await axios.post(
+      `${OPENAI_API_BASE}/chat/completions`,
+      {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: REQUEST_TIMEOUT,
+      },
+    );
+
+    return {
+      content: response.data?.choices?.[0]?.message?.content,
+      usage: parseOpenAIUsage(response.data?.usage),
+      raw: response.data,
+    };
+  },
+
+  async *stream(messages, { model, temperature, maxTokens }) {
+    const response = await axios.post(
+      `${OPENAI_API_BASE}/chat/completions`,
+      {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        // 最后一段带上用量
+        stream_options: { include_usage: true },
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        responseType: 'stream',
+        timeout: REQUEST_TIMEOUT,
+      },
+    );
+
+    for await (const line of readLines(response.data)) {
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield { delta };
+      if (chunk.usage) yield { usage: parseOpenAIUsage(chunk.usage) };
+    }
+  },
+};
+
+/**
+ * Ollama 风格的本地服务
+ */
+const ollamaProvider = {
+  name: 'ollama',
+
+  async chat(messages, { model, temperature, maxTokens }) {
+    const response = await axios.post(
+      `${OLLAMA_API_BASE}/api/chat`,
+      {
+        model,
+        messages,
+        stream: false,
+        options: {
+          temperature,
+          num_predict: maxTokens,
+        },
+      },
+      { timeout: REQUEST_TIMEOUT * 4 }, // 本地模型通常更慢
+    );
+
+    return {
+      content: response.data?.message?.content,
+      usage: parseOllamaUsage(response.data),
+      raw: response.data,
+    };
+  },
+
+  async *stream(messages, { model, temperature, maxTokens }) {
+    const response = await axios.post(
+      `${OLLAMA_API_BASE}/api/chat`,
+      {
+        model,
+        messages,
+        stream: true,
+        options: {
+          temperature,
+          num_predict: maxTokens,
+        },
+      },
+      { responseType: 'stream', timeout: REQUEST_TIMEOUT * 4 },
+    );
+
+    for await (const line of readLines(response.data)) {
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(data.error);
+      if (data.message?.content) yield { delta: data.message.content };
+      if (data.done) {
+        const usage = parseOllamaUsage(data);
+        if (usage) yield { usage };
+        return;
+      }
+    }
+  },
+};
+
+/**
+ * 确定性的 mock，不发任何网络请求，用于离线开发和调试
+ */
+const mockProvider = {
+  name: 'mock',
+
+  async chat(messages, { purpose }) {
+    const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+    const text = lastUser?.content || '';
+
+    let content;
+    switch (purpose) {
+      case 'extraction':
+      case 'reminder':
+        content = '无';
+        break;
+      case 'agenda':
+        content =
+          '[{"time": "10:00", "activity": "开周会"}, {"time": "12:30", "activity": "和同事吃楼下的麻辣烫"}, {"time": "21:00", "activity": "在家看剧"}]';
+        break;
+      case 'mood':
+        content = '{"valence": 0.1, "energy": -0.1, "affection": 0.1, "reason": "聊得挺正常"}';
+        break;
+      case 'diary':
+        content = '今天随便聊了几句，就那样吧。';
+        break;
+      case 'summary':
+        content = `随便聊了聊：${text.slice(-40).replace(/\s+/g, ' ')}`;
+        break;
+      case 'continuation':
+      case 'active':
+        content = '对了，你最近怎么样？';
+        break;
+      default:
+        content = `嗯，${text.slice(0, 20)}`;
+    }
+
+    return { content, usage: null, raw: null };
+  },
+
+  async *stream(messages, config) {
+    const { content } = await this.chat(messages, config);
+    for (let i = 0; i < content.length; i += 4) {
+      yield { delta: content.slice(i, i + 4) };
+    }
+  },
+};
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  ollama: ollamaProvider,
+  mock: mockProvider,
+};
+
+/**
+ * 获取 provider
+ */
+export function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`未知的 LLM provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * 检查配置，返回缺失项列表（为空表示配置完整）
+ */
+export function getMissingConfig() {
+  const missing = [];
+
+  for (const purpose of Object.keys(PURPOSE_DEFAULTS)) {
+    const { provider } = getPurposeConfig(purpose);
+    if (!PROVIDERS[provider]) {
+      missing.push(`LLM_PROVIDER (未知的 provider: ${provider})`);
+    } else if (provider === 'openai' && !OPENAI_API_KEY) {
+      // LLM_API_KEY 是通用的写法，DEEPSEEK_API_KEY 是旧的，两个都提一下
+      missing.push('LLM_API_KEY（或 DEEPSEEK_API_KEY）');
+    }
+  }
+
+  return [...new Set(missing)];
+}
+
+/**
+ * 调用 LLM
+ *
+ * options.purpose 决定使用哪套配置，其他字段（model、temperature、maxTokens）可以临时覆盖
+ * options.userId 是这次调用算在谁头上，用于统计用量
+ */
+export async function chatWithLLM(messages, options = {}) {
+  // 验证输入
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Invalid messages array');
+  }
+
+  const purpose = options.purpose || 'reply';
+  const config = { ...getPurposeConfig(purpose), ...options, purpose };
+  const provider = getProvider(config.provider);
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      const { content, usage, raw } = await provider.chat(messages, config);
+
+      if (!content) {
+        console.error(`API 返回空内容 (尝试 ${attempt}/${MAX_RETRIES}):`, JSON.stringify(raw, null, 2));
+        if (attempt === MAX_RETRIES) {
+          throw new Error('API 返回空内容');
+        }
+        // 等待一段时间后重试
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        continue;
+      }
+
+      reportUsage(messages, content, usage, config);
+      return content;
+    } catch (err) {
+      lastError = err;
+      console.error(
+        `LLM 错误 [${provider.name}/${purpose}] (尝试 ${attempt}/${MAX_RETRIES}):`,
+        err.response?.data || err.message,
+      );
+
+      if (attempt === MAX_RETRIES) {
+        // 如果是最终尝试，抛出错误
+        throw err;
+      }
+
+      // 等待一段时间后重试
+      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * 流式调用 LLM
+ *
+ * 每收到一段输出就调用 options.onDelta(已累计的全文)
+ * 流在中途断开时返回已经收到的部分（complete: false），还没有任何输出就断开则退回普通调用
+ */
+export async function streamChatWithLLM(messages, options = {}) {
+  // 验证输入
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Invalid messages array');
+  }
+
+  const { onDelta, ...chatOptions } = options;
+  const purpose = chatOptions.purpose || 'reply';
+  const config = { ...getPurposeConfig(purpose), ...chatOptions, purpose };
+  const provider = getProvider(config.provider);
+
+  let content = '';
+  let usage = null;
+
+  if (provider.stream) {
+    try {
+      for await (const chunk of provider.stream(messages, config)) {
+        if (chunk.usage) {
+          usage = chunk.usage;
+          continue;
+        }
+        content += chunk.delta;
+        onDelta?.(content);
+      }
+    } catch (err) {
+      console.error(`LLM 流式输出中断 [${provider.name}/${purpose}]:`, err.response?.status || err.message);
+      if (content) {
+        reportUsage(messages, content, usage, config);
+        return { content, complete: false };
+      }
+    }
+  }
+
+  if (content) {
+    reportUsage(messages, content, usage, config);
+  } else {
+    // 不支持流式或者流式没有任何输出，退回普通调用（带重试，用量在里面上报）
+    content = await chatWithLLM(messages, chatOptions);
+    onDelta?.(content);
+  }
+
+  return { content, complete: true };
+}
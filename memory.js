@@ -3,8 +3,18 @@
  * 支持短期对话记忆、长期重要信息记忆、情绪状态记忆
  */
 import Database from 'better-sqlite3';
+import { migrate } from './migrations.js';
+import { tokenize } from './tokenizer.js';
+import { normalizeUserId } from './user-id.js';
 
-const DB_FILE = './memory.db';
+// 数据库文件（回放对话时用临时文件，见 replay.js）
+const DB_FILE = process.env.MEMORY_DB || './memory.db';
+
+// getRecent 最多返回的条数
+export const MAX_RECENT = 50;
+
+// 人格说过的长期不变的事最多保留几条
+const MAX_LASTING_SELF_FACTS = 100;
 
 /**
  * 记忆存储类
@@ -15,6 +25,8 @@ export class MemoryStore {
     this.loaded = false;
     // Prepare statements for better performance
     this.preparedStatements = {};
+    // 用户资料缓存（数据库为准，写入时同步更新）：key -> { profile, accessedAt }
+    this.profileCache = new Map();
   }
 
   /**
@@ -34,49 +46,44 @@ export class MemoryStore {
       // Increase busy timeout to handle concurrent access
       this.db.exec('PRAGMA busy_timeout = 30000;');
 
-      // 创建对话记录表
-      this.db.exec(`CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at INTEGER NOT NULL
-      )`);
-
-      // 创建索引以提高查询性能
-      this.db.exec('CREATE INDEX IF NOT EXISTS idx_messages_user_created ON messages(user_id, created_at);');
-      this.db.exec('CREATE INDEX IF NOT EXISTS idx_messages_user_role ON messages(user_id, role);');
-
-      // 创建长期记忆表（重要信息）
-      this.db.exec(`CREATE TABLE IF NOT EXISTS memories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        fact TEXT NOT NULL,
-        created_at INTEGER NOT NULL,
-        UNIQUE(user_id, fact)
-      )`);
-
-      // 创建索引以提高查询性能
-      this.db.exec('CREATE INDEX IF NOT EXISTS idx_memories_user ON memories(user_id);');
-
-      // 创建情绪状态表
-      this.db.exec(`CREATE TABLE IF NOT EXISTS moods (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        mood TEXT NOT NULL,
-        created_at INTEGER NOT NULL
-      )`);
-
-      // 创建索引以提高查询性能
-      this.db.exec('CREATE INDEX IF NOT EXISTS idx_moods_user_created ON moods(user_id, created_at);');
+      // 建表和升级表结构
+      migrate(this.db);
 
       // Prepare statements for better performance
       this.preparedStatements.insertMessage = this.db.prepare(
         'INSERT INTO messages (user_id, role, content, created_at) VALUES (?, ?, ?, ?)',
       );
+      this.preparedStatements.insertSearchIndex = this.db.prepare(
+        'INSERT INTO messages_fts (rowid, tokens, user_id) VALUES (?, ?, ?)',
+      );
+      // 排除已经在最近对话里的消息，只找更早的
+      this.preparedStatements.searchMessages = this.db.prepare(`
+        SELECT m.id, m.role, m.content, m.created_at, bm25(messages_fts) AS rank
+        FROM messages_fts JOIN messages m ON m.id = messages_fts.rowid
+        WHERE messages_fts MATCH ? AND messages_fts.user_id = ?
+          AND m.id NOT IN (SELECT id FROM messages WHERE user_id = ? ORDER BY created_at DESC LIMIT ?)
+        ORDER BY rank
+        LIMIT ?
+      `);
+      // 同样的内容再次出现时刷新时间和置信度，已被取代的旧信息会重新生效
+      // 事件改了日期（比如改期）时重新算作还没发生
       this.preparedStatements.insertMemory = this.db.prepare(`
-        INSERT INTO memories (user_id, fact, created_at) VALUES (?, ?, ?)
-        ON CONFLICT(user_id, fact) DO NOTHING
+        INSERT INTO memories (user_id, fact, category, subject, confidence, event_date, event_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, fact) DO UPDATE SET
+          category = CASE WHEN excluded.category = 'other' THEN memories.category ELSE excluded.category END,
+          subject = COALESCE(excluded.subject, memories.subject),
+          confidence = MAX(memories.confidence, excluded.confidence),
+          resolved_at = CASE WHEN excluded.event_at IS NOT memories.event_at AND excluded.event_at IS NOT NULL
+            THEN NULL ELSE memories.resolved_at END,
+          followed_up_at = CASE WHEN excluded.event_at IS NOT memories.event_at AND excluded.event_at IS NOT NULL
+            THEN NULL ELSE memories.followed_up_at END,
+          event_date = COALESCE(excluded.event_date, memories.event_date),
+          event_at = COALESCE(excluded.event_at, memories.event_at),
+          updated_at = excluded.updated_at,
+          superseded_at = NULL,
+          superseded_by = NULL
+        RETURNING id
       `);
       this.preparedStatements.insertMood = this.db.prepare(
         'INSERT INTO moods (user_id, mood, created_at) VALUES (?, ?, ?)',
@@ -85,7 +92,50 @@ export class MemoryStore {
         'SELECT COUNT(*) as count FROM messages WHERE user_id = ?',
       );
       this.preparedStatements.getMemories = this.db.prepare(
-        'SELECT fact FROM memories WHERE user_id = ? ORDER BY created_at DESC',
+        'SELECT fact FROM memories WHERE user_id = ? AND superseded_at IS NULL ORDER BY updated_at DESC',
+      );
+      this.preparedStatements.getMemoriesWithIds = this.db.prepare(
+        `SELECT id, fact, category, subject, confidence, event_date, event_at, resolved_at, created_at, updated_at
+         FROM memories WHERE user_id = ? AND superseded_at IS NULL ORDER BY updated_at DESC`,
+      );
+      this.preparedStatements.getMemoryById = this.db.prepare(
+        'SELECT id, fact FROM memories WHERE user_id = ? AND id = ? AND superseded_at IS NULL',
+      );
+      this.preparedStatements.getMemoryByFact = this.db.prepare(
+        'SELECT id, superseded_at FROM memories WHERE user_id = ? AND fact = ?',
+      );
+      this.preparedStatements.deleteMemory = this.db.prepare('DELETE FROM memories WHERE user_id = ? AND id = ?');
+      this.preparedStatements.updateMemory = this.db.prepare(
+        'UPDATE memories SET fact = ?, updated_at = ? WHERE user_id = ? AND id = ?',
+      );
+      this.preparedStatements.touchMemory = this.db.prepare(
+        'UPDATE memories SET updated_at = ?, confidence = MAX(confidence, ?) WHERE user_id = ? AND id = ?',
+      );
+      this.preparedStatements.supersedeMemory = this.db.prepare(
+        'UPDATE memories SET superseded_at = ?, superseded_by = ? WHERE user_id = ? AND id = ?',
+      );
+      // 已经过去、还没问过结果的事件
+      this.preparedStatements.getEventsToFollowUp = this.db.prepare(`
+        SELECT id, fact, event_date, event_at FROM memories
+        WHERE user_id = ? AND event_at IS NOT NULL AND event_at <= ?
+          AND resolved_at IS NULL AND superseded_at IS NULL
+        ORDER BY event_at DESC
+      `);
+      this.preparedStatements.resolveEvent = this.db.prepare(
+        'UPDATE memories SET resolved_at = ?, followed_up_at = ? WHERE user_id = ? AND id = ?',
+      );
+      this.preparedStatements.resolveStaleEvents = this.db.prepare(
+        'UPDATE memories SET resolved_at = ? WHERE event_at IS NOT NULL AND event_at <= ? AND resolved_at IS NULL',
+      );
+      this.preparedStatements.insertForgotten = this.db.prepare(`
+        INSERT INTO forgotten_facts (user_id, fact, created_at) VALUES (?, ?, ?)
+        ON CONFLICT(user_id, fact) DO NOTHING
+      `);
+      this.preparedStatements.deleteForgotten = this.db.prepare(
+        'DELETE FROM forgotten_facts WHERE user_id = ? AND fact = ?',
+      );
+      this.preparedStatements.isForgotten = this.db.prepare(
+        'SELECT 1 FROM forgotten_facts WHERE user_id = ? AND fact = ?',
       );
       this.preparedStatements.getMood = this.db.prepare(
         'SELECT mood FROM moods WHERE user_id = ? ORDER BY created_at DESC LIMIT 1',
@@ -100,20 +150,283 @@ export class MemoryStore {
         'SELECT COUNT(*) as count FROM messages WHERE user_id = ?',
       );
       this.preparedStatements.clearMessages = this.db.prepare('DELETE FROM messages WHERE user_id = ?');
+      this.preparedStatements.clearSummaries = this.db.prepare('DELETE FROM summaries WHERE user_id = ?');
+      // 还没总结过、也不在最近对话里的消息
+      this.preparedStatements.getUnsummarizedMessages = this.db.prepare(`
+        SELECT id, role, content, created_at FROM messages
+        WHERE user_id = ?
+          AND id > COALESCE((SELECT MAX(end_message_id) FROM summaries WHERE user_id = ?), 0)
+          AND id NOT IN (SELECT id FROM messages WHERE user_id = ? ORDER BY created_at DESC LIMIT ?)
+        ORDER BY id ASC
+        LIMIT ?
+      `);
+      this.preparedStatements.insertSummary = this.db.prepare(`
+        INSERT INTO summaries (user_id, content, start_message_id, end_message_id, start_at, end_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      this.preparedStatements.getSummaries = this.db.prepare(
+        'SELECT content, start_at, end_at FROM summaries WHERE user_id = ? ORDER BY end_message_id DESC LIMIT ?',
+      );
+      this.preparedStatements.clearSearchIndex = this.db.prepare('DELETE FROM messages_fts WHERE user_id = ?');
       this.preparedStatements.clearMemories = this.db.prepare('DELETE FROM memories WHERE user_id = ?');
       this.preparedStatements.clearMoods = this.db.prepare('DELETE FROM moods WHERE user_id = ?');
+      this.preparedStatements.clearForgotten = this.db.prepare('DELETE FROM forgotten_facts WHERE user_id = ?');
       this.preparedStatements.deleteOldMoods = this.db.prepare(`
         DELETE FROM moods WHERE id IN (
           SELECT id FROM moods WHERE user_id = ? ORDER BY created_at DESC LIMIT -1 OFFSET 50
         )
       `);
       this.preparedStatements.getUserIds = this.db.prepare('SELECT DISTINCT user_id FROM messages');
+      this.preparedStatements.getPersonaId = this.db.prepare('SELECT persona_id FROM user_settings WHERE user_id = ?');
+      this.preparedStatements.setPersonaId = this.db.prepare(`
+        INSERT INTO user_settings (user_id, persona_id, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET persona_id = excluded.persona_id, updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.getChattiness = this.db.prepare(
+        'SELECT chattiness FROM group_settings WHERE chat_id = ?',
+      );
+      this.preparedStatements.setChattiness = this.db.prepare(`
+        INSERT INTO group_settings (chat_id, chattiness, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(chat_id) DO UPDATE SET chattiness = excluded.chattiness, updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.getProfile = this.db.prepare('SELECT * FROM user_profiles WHERE user_id = ?');
+      // 只更新传入的字段
+      this.preparedStatements.upsertProfile = this.db.prepare(`
+        INSERT INTO user_profiles (user_id, name, last_message_at, last_interaction_at, last_active_message_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          name = COALESCE(excluded.name, user_profiles.name),
+          last_message_at = COALESCE(excluded.last_message_at, user_profiles.last_message_at),
+          last_interaction_at = COALESCE(excluded.last_interaction_at, user_profiles.last_interaction_at),
+          last_active_message_at = COALESCE(excluded.last_active_message_at, user_profiles.last_active_message_at),
+          updated_at = excluded.updated_at
+        RETURNING *
+      `);
+      this.preparedStatements.deleteProfile = this.db.prepare('DELETE FROM user_profiles WHERE user_id = ?');
+      // 已经没有聊天记录（比如 /clear 过）、又很久没互动的用户资料
+      this.preparedStatements.deleteStaleProfiles = this.db.prepare(`
+        DELETE FROM user_profiles
+        WHERE COALESCE(last_interaction_at, updated_at) < ?
+          AND user_id NOT IN (SELECT DISTINCT user_id FROM messages)
+      `);
+      this.preparedStatements.getProactiveSettings = this.db.prepare(
+        'SELECT proactive_enabled, quiet_start, quiet_end FROM user_settings WHERE user_id = ?',
+      );
+      this.preparedStatements.setProactiveEnabled = this.db.prepare(`
+        INSERT INTO user_settings (user_id, proactive_enabled, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET proactive_enabled = excluded.proactive_enabled, updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.setQuietHours = this.db.prepare(`
+        INSERT INTO user_settings (user_id, quiet_start, quiet_end, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          quiet_start = excluded.quiet_start,
+          quiet_end = excluded.quiet_end,
+          updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.getTimezone = this.db.prepare(
+        'SELECT timezone, timezone_source FROM user_settings WHERE user_id = ? AND timezone IS NOT NULL',
+      );
+      this.preparedStatements.setTimezone = this.db.prepare(`
+        INSERT INTO user_settings (user_id, timezone, timezone_source, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          timezone = excluded.timezone,
+          timezone_source = excluded.timezone_source,
+          updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.insertReminder = this.db.prepare(`
+        INSERT INTO reminders (user_id, chat_id, task, due_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      this.preparedStatements.getPendingReminders = this.db.prepare(
+        "SELECT id, task, due_at FROM reminders WHERE user_id = ? AND status = 'pending' ORDER BY due_at ASC",
+      );
+      this.preparedStatements.cancelReminder = this.db.prepare(`
+        UPDATE reminders SET status = 'cancelled', updated_at = ?
+        WHERE user_id = ? AND id = ? AND status = 'pending'
+        RETURNING task
+      `);
+      this.preparedStatements.getDueReminders = this.db.prepare(`
+        SELECT id, user_id, chat_id, task, due_at, attempts FROM reminders
+        WHERE status = 'pending' AND due_at <= ?
+        ORDER BY due_at ASC
+        LIMIT ?
+      `);
+      // 只有还在 pending 的才能被领取，保证同一条提醒只发一次
+      this.preparedStatements.claimReminder = this.db.prepare(
+        "UPDATE reminders SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'pending'",
+      );
+      this.preparedStatements.finishReminder = this.db.prepare(
+        "UPDATE reminders SET status = ?, attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'sending'",
+      );
+      this.preparedStatements.failInterruptedReminders = this.db.prepare(
+        "UPDATE reminders SET status = 'failed', updated_at = ? WHERE status = 'sending'",
+      );
+      this.preparedStatements.clearReminders = this.db.prepare('DELETE FROM reminders WHERE user_id = ?');
+      this.preparedStatements.insertProactiveMessage = this.db.prepare(
+        'INSERT INTO proactive_messages (user_id, content, sent_at) VALUES (?, ?, ?)',
+      );
+      this.preparedStatements.countProactiveMessages = this.db.prepare(
+        'SELECT COUNT(*) as count FROM proactive_messages WHERE user_id = ? AND sent_at >= ?',
+      );
+      this.preparedStatements.deleteOldProactiveMessages = this.db.prepare(
+        'DELETE FROM proactive_messages WHERE sent_at < ?',
+      );
+      this.preparedStatements.clearProactiveMessages = this.db.prepare(
+        'DELETE FROM proactive_messages WHERE user_id = ?',
+      );
+      this.preparedStatements.recordProactiveInProfile = this.db.prepare(`
+        INSERT INTO user_profiles (user_id, last_active_message_at, unanswered_proactive, updated_at) VALUES (?, ?, 1, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          last_active_message_at = excluded.last_active_message_at,
+          unanswered_proactive = user_profiles.unanswered_proactive + 1,
+          updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.setBlocked = this.db.prepare(
+        'UPDATE user_profiles SET blocked_at = ?, updated_at = ? WHERE user_id = ?',
+      );
+      this.preparedStatements.resetProactiveBackoff = this.db.prepare(
+        'UPDATE user_profiles SET unanswered_proactive = 0, blocked_at = NULL, updated_at = ? WHERE user_id = ?',
+      );
+      this.preparedStatements.insertUsage = this.db.prepare(`
+        INSERT INTO llm_usage (user_id, purpose, provider, model, prompt_tokens, completion_tokens, estimated, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      this.preparedStatements.sumUsage = this.db.prepare(
+        'SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) as tokens FROM llm_usage WHERE created_at >= ?',
+      );
+      this.preparedStatements.sumUserUsage = this.db.prepare(
+        'SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) as tokens FROM llm_usage WHERE user_id = ? AND created_at >= ?',
+      );
+      this.preparedStatements.usageTotals = this.db.prepare(`
+        SELECT COUNT(*) as calls, COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+          COALESCE(SUM(completion_tokens), 0) as completion_tokens, COALESCE(SUM(estimated), 0) as estimated
+        FROM llm_usage WHERE created_at >= ?
+      `);
+      this.preparedStatements.usageByPurpose = this.db.prepare(`
+        SELECT purpose, COUNT(*) as calls, SUM(prompt_tokens + completion_tokens) as tokens
+        FROM llm_usage WHERE created_at >= ?
+        GROUP BY purpose ORDER BY tokens DESC
+      `);
+      this.preparedStatements.usageByUser = this.db.prepare(`
+        SELECT user_id, COUNT(*) as calls, SUM(prompt_tokens + completion_tokens) as tokens
+        FROM llm_usage WHERE created_at >= ? AND user_id IS NOT NULL
+        GROUP BY user_id ORDER BY tokens DESC LIMIT ?
+      `);
+      this.preparedStatements.deleteOldUsage = this.db.prepare('DELETE FROM llm_usage WHERE created_at < ?');
+      this.preparedStatements.deleteSettings = this.db.prepare('DELETE FROM user_settings WHERE user_id = ?');
+      this.preparedStatements.listProfiles = this.db.prepare(`
+        SELECT user_id, name, last_message_at, last_interaction_at, blocked_at FROM user_profiles
+        ORDER BY COALESCE(last_interaction_at, last_message_at, 0) DESC
+        LIMIT ?
+      `);
+      this.preparedStatements.getStats = this.db.prepare(`
+        SELECT
+          (SELECT COUNT(DISTINCT user_id) FROM messages) as users,
+          (SELECT COUNT(*) FROM messages) as messages,
+          (SELECT COUNT(*) FROM memories WHERE superseded_at IS NULL) as facts,
+          (SELECT COUNT(*) FROM reminders WHERE status = 'pending') as reminders,
+          (SELECT COUNT(*) FROM user_profiles WHERE blocked_at IS NOT NULL) as blocked,
+          (SELECT COUNT(*) FROM llm_usage) as calls,
+          (SELECT COUNT(*) FROM llm_usage WHERE created_at >= ?) as calls_since
+      `);
+      this.preparedStatements.getAccess = this.db.prepare('SELECT * FROM user_access WHERE user_id = ?');
+      this.preparedStatements.setAllowed = this.db.prepare(`
+        INSERT INTO user_access (user_id, allowed, invite_code, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          allowed = excluded.allowed,
+          invite_code = COALESCE(excluded.invite_code, user_access.invite_code),
+          updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.setAccessBlocked = this.db.prepare(`
+        INSERT INTO user_access (user_id, blocked_at, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET blocked_at = excluded.blocked_at, updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.insertInviteCode = this.db.prepare(`
+        INSERT INTO invite_codes (code, created_by, max_uses, expires_at, created_at) VALUES (?, ?, ?, ?, ?)
+      `);
+      // 只有没过期、没用完的邀请码才能用
+      this.preparedStatements.useInviteCode = this.db.prepare(`
+        UPDATE invite_codes SET uses = uses + 1
+        WHERE code = ? AND uses < max_uses AND (expires_at IS NULL OR expires_at > ?)
+      `);
+      this.preparedStatements.getEmotionalState = this.db.prepare(
+        'SELECT valence, energy, affection, reason, updated_at FROM emotional_state WHERE user_id = ?',
+      );
+      this.preparedStatements.setEmotionalState = this.db.prepare(`
+        INSERT INTO emotional_state (user_id, valence, energy, affection, reason, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          valence = excluded.valence,
+          energy = excluded.energy,
+          affection = excluded.affection,
+          reason = excluded.reason,
+          updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.clearEmotionalState = this.db.prepare('DELETE FROM emotional_state WHERE user_id = ?');
+      this.preparedStatements.getRelationship = this.db.prepare('SELECT * FROM relationships WHERE user_id = ?');
+      this.preparedStatements.setRelationship = this.db.prepare(`
+        INSERT INTO relationships (user_id, stage, points, conversations, conversation_messages, last_message_at, stage_changed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          stage = excluded.stage,
+          points = excluded.points,
+          conversations = excluded.conversations,
+          conversation_messages = excluded.conversation_messages,
+          last_message_at = excluded.last_message_at,
+          stage_changed_at = excluded.stage_changed_at
+      `);
+      this.preparedStatements.clearRelationship = this.db.prepare('DELETE FROM relationships WHERE user_id = ?');
+      this.preparedStatements.getAssistantMessagesAfter = this.db.prepare(`
+        SELECT id, content FROM messages WHERE user_id = ? AND role = 'assistant' AND id > ? ORDER BY id LIMIT ?
+      `);
+      this.preparedStatements.getSelfFactProgress = this.db.prepare(
+        'SELECT last_message_id FROM self_fact_progress WHERE user_id = ?',
+      );
+      this.preparedStatements.setSelfFactProgress = this.db.prepare(`
+        INSERT INTO self_fact_progress (user_id, last_message_id, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET last_message_id = excluded.last_message_id, updated_at = excluded.updated_at
+      `);
+      this.preparedStatements.clearSelfFactProgress = this.db.prepare(
+        'DELETE FROM self_fact_progress WHERE user_id = ?',
+      );
+      this.preparedStatements.getAgenda = this.db.prepare(
+        'SELECT items FROM persona_agenda WHERE persona_id = ? AND date = ?',
+      );
+      this.preparedStatements.setAgenda = this.db.prepare(`
+        INSERT INTO persona_agenda (persona_id, date, items, created_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(persona_id, date) DO UPDATE SET items = excluded.items, created_at = excluded.created_at
+      `);
+      this.preparedStatements.deleteOldAgendas = this.db.prepare('DELETE FROM persona_agenda WHERE date < ?');
+      this.preparedStatements.addSelfFact = this.db.prepare(`
+        INSERT INTO self_facts (persona_id, fact, lasting, date, created_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(persona_id, fact) DO NOTHING
+      `);
+      this.preparedStatements.deleteOldLastingSelfFacts = this.db.prepare(`
+        DELETE FROM self_facts WHERE id IN (
+          SELECT id FROM self_facts WHERE persona_id = ? AND lasting = 1
+          ORDER BY created_at DESC LIMIT -1 OFFSET ${MAX_LASTING_SELF_FACTS}
+        )
+      `);
+      this.preparedStatements.deleteOldSelfFacts = this.db.prepare(
+        'DELETE FROM self_facts WHERE lasting = 0 AND date < ?',
+      );
+      this.preparedStatements.getLastingSelfFacts = this.db.prepare(`
+        SELECT fact FROM self_facts WHERE persona_id = ? AND lasting = 1 ORDER BY created_at DESC LIMIT ?
+      `);
+      this.preparedStatements.getDailySelfFacts = this.db.prepare(`
+        SELECT fact FROM self_facts WHERE persona_id = ? AND lasting = 0 AND date = ? ORDER BY created_at LIMIT ?
+      `);
+      this.preparedStatements.getBotState = this.db.prepare('SELECT value FROM bot_state WHERE key = ?');
+      this.preparedStatements.setBotState = this.db.prepare(`
+        INSERT INTO bot_state (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `);
 
       this.loaded = true;
 
       // 统计
       const userCount = this.preparedStatements.getUserIds.all().length;
-      const memoryCount = this.db.prepare('SELECT COUNT(*) as count FROM memories').get().count;
+      const memoryCount = this.db
+        .prepare('SELECT COUNT(*) as count FROM memories WHERE superseded_at IS NULL')
+        .get().count;
       const moodCount = this.db.prepare('SELECT COUNT(*) as count FROM moods').get().count;
       console.log(`✓ 记忆已加载: ${userCount} 个用户, ${memoryCount} 条长期记忆, ${moodCount} 条情绪记录`);
     } catch (error) {
@@ -132,7 +445,10 @@ export class MemoryStore {
         throw new Error('Invalid parameters for add');
       }
 
-      this.preparedStatements.insertMessage.run(userId, role, content, Date.now());
+      this.db.transaction(() => {
+        const { lastInsertRowid } = this.preparedStatements.insertMessage.run(userId, role, content, Date.now());
+        this.preparedStatements.insertSearchIndex.run(lastInsertRowid, tokenize(content).join(' '), userId);
+      })();
 
       const count = this.preparedStatements.getMessageCount.get(userId).count;
       console.log(`[记忆] 用户 ${userId} 现有 ${count} 条`);
@@ -143,24 +459,146 @@ export class MemoryStore {
   }
 
   /**
-   * 添加/更新重要信息
+   * 添加/更新重要信息，返回信息的 id（被跳过时返回 null）
+   *
+   * explicit 为 true 表示用户自己要求记住的；否则是自动提取的，用户删掉过的信息不会再加回来
    */
-  async addImportantFact(userId, fact) {
+  async addImportantFact(
+    userId,
+    fact,
+    { explicit = false, category = 'other', subject = null, confidence, eventDate = null, eventAt = null } = {},
+  ) {
     try {
       // 输入验证
       if (!userId || !fact || typeof fact !== 'string') {
         throw new Error('Invalid parameters for addImportantFact');
       }
 
-      this.preparedStatements.insertMemory.run(userId, fact, Date.now());
+      if (explicit) {
+        this.preparedStatements.deleteForgotten.run(userId, fact);
+      } else if (this.preparedStatements.isForgotten.get(userId, fact)) {
+        console.log(`[长期记忆] ${userId}: 跳过已遗忘的信息 ${fact}`);
+        return null;
+      }
+
+      const now = Date.now();
+      const { id } = this.preparedStatements.insertMemory.get(
+        userId,
+        fact,
+        category,
+        subject,
+        confidence ?? (explicit ? 1 : 0.8),
+        eventDate,
+        eventAt,
+        now,
+        now,
+      );
 
       console.log(`[长期记忆] ${userId}: ${fact}`);
+      return id;
     } catch (error) {
       console.error(`添加重要信息失败 (用户 ${userId}):`, error.message);
       throw error;
     }
   }
 
+  /**
+   * 删除一条重要信息，返回被删除的内容（不存在返回 null）
+   */
+  async deleteFact(userId, factId) {
+    try {
+      const row = this.preparedStatements.getMemoryById.get(userId, factId);
+      if (!row) return null;
+
+      this.db.transaction(() => {
+        this.preparedStatements.deleteMemory.run(userId, factId);
+        this.preparedStatements.insertForgotten.run(userId, row.fact, Date.now());
+      })();
+
+      console.log(`[长期记忆] ${userId}: 删除 #${factId} ${row.fact}`);
+      return row.fact;
+    } catch (error) {
+      console.error(`删除重要信息失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 修改一条重要信息，返回修改前的内容（不存在返回 null）
+   */
+  async updateFact(userId, factId, fact) {
+    try {
+      // 输入验证
+      if (!fact || typeof fact !== 'string') {
+        throw new Error('Invalid parameters for updateFact');
+      }
+
+      const row = this.preparedStatements.getMemoryById.get(userId, factId);
+      if (!row) return null;
+      if (row.fact === fact) return row.fact;
+
+      this.db.transaction(() => {
+        const existing = this.preparedStatements.getMemoryByFact.get(userId, fact);
+        if (existing && !existing.superseded_at) {
+          // 新内容已经是一条有效信息了，直接删掉旧的那条
+          this.preparedStatements.deleteMemory.run(userId, factId);
+        } else {
+          // 新内容跟一条已被取代的旧信息相同，删掉那条历史记录避免冲突
+          if (existing) {
+            this.preparedStatements.deleteMemory.run(userId, existing.id);
+          }
+          this.preparedStatements.updateMemory.run(fact, Date.now(), userId, factId);
+        }
+        this.preparedStatements.insertForgotten.run(userId, row.fact, Date.now());
+        this.preparedStatements.deleteForgotten.run(userId, fact);
+      })();
+
+      console.log(`[长期记忆] ${userId}: 修改 #${factId} ${row.fact} -> ${fact}`);
+      return row.fact;
+    } catch (error) {
+      console.error(`修改重要信息失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 再次提到已有信息时刷新时间和置信度
+   */
+  touchFact(userId, factId, confidence = 0) {
+    this.preparedStatements.touchMemory.run(Date.now(), confidence, userId, factId);
+  }
+
+  /**
+   * 标记旧信息已被新信息取代（保留历史，不再出现在提示词里）
+   */
+  supersedeFact(userId, oldFactId, newFactId) {
+    this.preparedStatements.supersedeMemory.run(Date.now(), newFactId, userId, oldFactId);
+    console.log(`[长期记忆] ${userId}: #${oldFactId} 被 #${newFactId} 取代`);
+  }
+
+  /**
+   * 获取在 before 之前就已经过去、还没问过结果的事件，最近的在前
+   */
+  getEventsToFollowUp(userId, before) {
+    return this.preparedStatements.getEventsToFollowUp.all(userId, before);
+  }
+
+  /**
+   * 标记事件已经过去（followedUp 为 true 表示已经主动问过结果）
+   */
+  resolveEvent(userId, factId, { followedUp = false } = {}) {
+    const now = Date.now();
+    this.preparedStatements.resolveEvent.run(now, followedUp ? now : null, userId, factId);
+    console.log(`[长期记忆] ${userId}: 事件 #${factId} 已经过去${followedUp ? '，问过结果了' : ''}`);
+  }
+
+  /**
+   * 在 before 之前就过去了、一直没机会问的事件也标记为已经过去，返回条数
+   */
+  resolveStaleEvents(before) {
+    return this.preparedStatements.resolveStaleEvents.run(Date.now(), before).changes;
+  }
+
   /**
    * 记录情绪状态
    */
@@ -189,6 +627,13 @@ export class MemoryStore {
     return facts;
   }
 
+  /**
+   * 获取用户当前有效的重要信息（带 id 和类别等结构化字段）
+   */
+  getFacts(userId) {
+    return this.preparedStatements.getMemoriesWithIds.all(userId);
+  }
+
   /**
    * 获取最近的情绪状态
    */
@@ -207,7 +652,7 @@ export class MemoryStore {
   getRecent(userId, limit = 15) {
     try {
       // 限制最大历史记录数量，避免内存占用过多
-      const maxLimit = Math.min(limit, 50);
+      const maxLimit = Math.min(limit, MAX_RECENT);
       return this.preparedStatements.getRecentMessages.all(userId, maxLimit).reverse();
     } catch (error) {
       console.error(`获取用户 ${userId} 最近记忆失败:`, error.message);
@@ -215,6 +660,63 @@ export class MemoryStore {
     }
   }
 
+  /**
+   * 全文检索更早的对话（不包括最近 excludeRecent 条）
+   *
+   * terms 是切分好的检索词，任意一个命中即可，按相关度排序
+   */
+  searchMessages(userId, terms, { excludeRecent = 0, limit = 10 } = {}) {
+    if (!terms || terms.length === 0) return [];
+
+    try {
+      const query = terms.map((t) => `"${t.replace(/"/g, '')}"`).join(' OR ');
+      return this.preparedStatements.searchMessages.all(query, userId, userId, excludeRecent, limit);
+    } catch (error) {
+      console.error(`检索对话失败 (用户 ${userId}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * 获取还没总结过的旧消息（不包括最近 excludeRecent 条），按时间顺序
+   */
+  getUnsummarizedMessages(userId, { excludeRecent = 0, limit = 50 } = {}) {
+    return this.preparedStatements.getUnsummarizedMessages.all(userId, userId, userId, excludeRecent, limit);
+  }
+
+  /**
+   * 保存一段对话概要
+   */
+  async addSummary(userId, { content, startMessageId, endMessageId, startAt, endAt }) {
+    try {
+      if (!userId || !content || !startMessageId || !endMessageId) {
+        throw new Error('Invalid parameters for addSummary');
+      }
+
+      this.preparedStatements.insertSummary.run(
+        userId,
+        content,
+        startMessageId,
+        endMessageId,
+        startAt,
+        endAt,
+        Date.now(),
+      );
+
+      console.log(`[概要] ${userId}: ${content.substring(0, 30)}...`);
+    } catch (error) {
+      console.error(`保存对话概要失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取最近的几段对话概要，按时间顺序
+   */
+  getSummaries(userId, limit = 5) {
+    return this.preparedStatements.getSummaries.all(userId, limit).reverse();
+  }
+
   /**
    * 获取所有对话记忆
    */
@@ -239,16 +741,569 @@ export class MemoryStore {
    * 清空指定用户的记忆
    */
   async clear(userId) {
+    this.preparedStatements.clearSearchIndex.run(userId);
     this.preparedStatements.clearMessages.run(userId);
+    this.preparedStatements.clearSummaries.run(userId);
     this.preparedStatements.clearMemories.run(userId);
     this.preparedStatements.clearMoods.run(userId);
+    this.preparedStatements.clearEmotionalState.run(userId);
+    this.preparedStatements.clearRelationship.run(userId);
+    this.preparedStatements.clearSelfFactProgress.run(userId);
+    this.preparedStatements.clearForgotten.run(userId);
+    this.preparedStatements.clearProactiveMessages.run(userId);
+    this.preparedStatements.clearReminders.run(userId);
+    this.preparedStatements.deleteProfile.run(userId);
+    this.profileCache.delete(normalizeUserId(userId));
+  }
+
+  /**
+   * 从数据库重新读取用户资料并更新缓存
+   */
+  refreshProfile(userId) {
+    const profile = this.preparedStatements.getProfile.get(userId) || null;
+    this.profileCache.set(normalizeUserId(userId), { profile, accessedAt: Date.now() });
+    return profile;
+  }
+
+  /**
+   * 获取用户资料（名字、最后聊天时间等，没有记录返回 null）
+   */
+  getProfile(userId) {
+    const key = normalizeUserId(userId);
+    const cached = this.profileCache.get(key);
+    if (cached) {
+      cached.accessedAt = Date.now();
+      return cached.profile;
+    }
+
+    return this.refreshProfile(userId);
+  }
+
+  /**
+   * 更新用户资料，没传的字段保持不变
+   */
+  updateProfile(userId, { name, lastMessageAt, lastInteractionAt, lastActiveMessageAt } = {}) {
+    try {
+      if (!userId) {
+        throw new Error('Invalid parameters for updateProfile');
+      }
+
+      const profile = this.preparedStatements.upsertProfile.get(
+        userId,
+        name ?? null,
+        lastMessageAt ?? null,
+        lastInteractionAt ?? null,
+        lastActiveMessageAt ?? null,
+        Date.now(),
+      );
+      this.profileCache.set(normalizeUserId(userId), { profile, accessedAt: Date.now() });
+      return profile;
+    } catch (error) {
+      console.error(`更新用户资料失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 释放一段时间没用到的用户资料缓存（数据库里的不受影响）
+   */
+  pruneProfileCache(maxIdle) {
+    const now = Date.now();
+    let pruned = 0;
+    for (const [key, entry] of this.profileCache.entries()) {
+      if (now - entry.accessedAt > maxIdle) {
+        this.profileCache.delete(key);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * 删除没有聊天记录、且在 before 之前就没再互动过的用户资料，返回删除的条数
+   */
+  deleteStaleProfiles(before) {
+    const { changes } = this.preparedStatements.deleteStaleProfiles.run(before);
+    if (changes > 0) {
+      // 缓存里可能还有这些用户，全部重新从数据库读
+      this.profileCache.clear();
+    }
+    return changes;
+  }
+
+  /**
+   * 获取用户选择的人格 ID（没有选择过返回 null）
+   */
+  getPersonaId(userId) {
+    const row = this.preparedStatements.getPersonaId.get(userId);
+    return row?.persona_id || null;
+  }
+
+  /**
+   * 设置用户的人格
+   */
+  async setPersonaId(userId, personaId) {
+    try {
+      if (!userId || !personaId) {
+        throw new Error('Invalid parameters for setPersonaId');
+      }
+
+      this.preparedStatements.setPersonaId.run(userId, personaId, Date.now());
+    } catch (error) {
+      console.error(`设置人格失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取群的活跃程度（没有设置过返回 null）
+   */
+  getChattiness(chatId) {
+    const row = this.preparedStatements.getChattiness.get(chatId);
+    return row?.chattiness || null;
+  }
+
+  /**
+   * 设置群的活跃程度
+   */
+  async setChattiness(chatId, chattiness) {
+    try {
+      if (!chatId || !chattiness) {
+        throw new Error('Invalid parameters for setChattiness');
+      }
+
+      this.preparedStatements.setChattiness.run(chatId, chattiness, Date.now());
+    } catch (error) {
+      console.error(`设置群活跃程度失败 (群 ${chatId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的主动消息设置（免打扰时段为 null 表示用默认值）
+   */
+  getProactiveSettings(userId) {
+    const row = this.preparedStatements.getProactiveSettings.get(userId);
+    return {
+      enabled: row ? row.proactive_enabled === 1 : true,
+      quietStart: row?.quiet_start ?? null,
+      quietEnd: row?.quiet_end ?? null,
+    };
+  }
+
+  /**
+   * 打开/关闭主动消息
+   */
+  async setProactiveEnabled(userId, enabled) {
+    try {
+      if (!userId) {
+        throw new Error('Invalid parameters for setProactiveEnabled');
+      }
+
+      this.preparedStatements.setProactiveEnabled.run(userId, enabled ? 1 : 0, Date.now());
+    } catch (error) {
+      console.error(`设置主动消息开关失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 设置免打扰时段（一天中的第几分钟）
+   */
+  async setQuietHours(userId, quietStart, quietEnd) {
+    try {
+      if (!userId || !Number.isInteger(quietStart) || !Number.isInteger(quietEnd)) {
+        throw new Error('Invalid parameters for setQuietHours');
+      }
+
+      this.preparedStatements.setQuietHours.run(userId, quietStart, quietEnd, Date.now());
+    } catch (error) {
+      console.error(`设置免打扰时段失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的时区（没有设置过返回 null）
+   *
+   * source 为 command 表示用户自己设置的，inferred 表示从聊天内容推断的
+   */
+  getTimezone(userId) {
+    const row = this.preparedStatements.getTimezone.get(userId);
+    return row ? { timezone: row.timezone, source: row.timezone_source } : null;
+  }
+
+  /**
+   * 设置用户的时区
+   */
+  async setTimezone(userId, timezone, source = 'command') {
+    try {
+      if (!userId || !timezone) {
+        throw new Error('Invalid parameters for setTimezone');
+      }
+
+      this.preparedStatements.setTimezone.run(userId, timezone, source, Date.now());
+      console.log(`[时区] ${userId}: ${timezone} (${source})`);
+    } catch (error) {
+      console.error(`设置时区失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 添加提醒，返回提醒的 id
+   */
+  async addReminder(userId, chatId, task, dueAt) {
+    try {
+      if (!userId || !chatId || !task || !Number.isFinite(dueAt)) {
+        throw new Error('Invalid parameters for addReminder');
+      }
+
+      const now = Date.now();
+      const { lastInsertRowid } = this.preparedStatements.insertReminder.run(userId, chatId, task, dueAt, now, now);
+      console.log(`[提醒] ${userId}: #${lastInsertRowid} ${new Date(dueAt).toISOString()} ${task}`);
+      return Number(lastInsertRowid);
+    } catch (error) {
+      console.error(`添加提醒失败 (用户 ${userId}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户还没发出的提醒，按时间排序
+   */
+  getPendingReminders(userId) {
+    return this.preparedStatements.getPendingReminders.all(userId);
+  }
+
+  /**
+   * 取消一条提醒，返回提醒内容（不存在或已经发出返回 null）
+   */
+  cancelReminder(userId, reminderId) {
+    const row = this.preparedStatements.cancelReminder.get(Date.now(), userId, reminderId);
+    if (!row) return null;
+
+    console.log(`[提醒] ${userId}: 取消 #${reminderId} ${row.task}`);
+    return row.task;
+  }
+
+  /**
+   * 获取已经到时间、还没发出的提醒
+   */
+  getDueReminders(now = Date.now(), limit = 20) {
+    return this.preparedStatements.getDueReminders.all(now, limit);
+  }
+
+  /**
+   * 领取一条提醒准备发送，已经被领取（或取消）返回 false
+   */
+  claimReminder(reminderId) {
+    return this.preparedStatements.claimReminder.run(Date.now(), reminderId).changes === 1;
+  }
+
+  /**
+   * 结束发送：status 为 sent（发出去了）、pending（稍后重试）或 failed（放弃）
+   */
+  finishReminder(reminderId, status) {
+    this.preparedStatements.finishReminder.run(status, Date.now(), reminderId);
+  }
+
+  /**
+   * 上次运行时发送到一半的提醒标记为失败
+   *
+   * 不知道到底发出去没有，宁可漏发也不重复发
+   */
+  failInterruptedReminders() {
+    return this.preparedStatements.failInterruptedReminders.run(Date.now()).changes;
+  }
+
+  /**
+   * 记录一条发出去的主动消息，未回复次数加一
+   */
+  recordProactiveMessage(userId, content) {
+    const now = Date.now();
+    this.db.transaction(() => {
+      this.preparedStatements.insertProactiveMessage.run(userId, content, now);
+      this.preparedStatements.recordProactiveInProfile.run(userId, now, now);
+    })();
+    return this.refreshProfile(userId);
+  }
+
+  /**
+   * since 之后发给用户的主动消息条数
+   */
+  countProactiveMessages(userId, since) {
+    return this.preparedStatements.countProactiveMessages.get(userId, since).count;
+  }
+
+  /**
+   * 删除 before 之前的主动消息记录
+   */
+  deleteOldProactiveMessages(before) {
+    return this.preparedStatements.deleteOldProactiveMessages.run(before).changes;
+  }
+
+  /**
+   * 标记用户屏蔽了 bot
+   */
+  markBlocked(userId) {
+    this.preparedStatements.setBlocked.run(Date.now(), Date.now(), userId);
+    console.log(`[主动消息] 用户 ${userId} 屏蔽了 bot，不再主动发消息`);
+    return this.refreshProfile(userId);
+  }
+
+  /**
+   * 用户回消息了：清零未回复次数和屏蔽标记
+   */
+  resetProactiveBackoff(userId) {
+    const profile = this.getProfile(userId);
+    if (!profile || (profile.unanswered_proactive === 0 && !profile.blocked_at)) return profile;
+
+    this.preparedStatements.resetProactiveBackoff.run(Date.now(), userId);
+    return this.refreshProfile(userId);
+  }
+
+  /**
+   * 记录一次 LLM 调用的 token 用量（userId 为 null 表示不属于哪个用户）
+   */
+  recordUsage({ userId = null, purpose, provider, model, promptTokens, completionTokens, estimated = false }) {
+    this.preparedStatements.insertUsage.run(
+      userId,
+      purpose,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      estimated ? 1 : 0,
+      Date.now(),
+    );
+  }
+
+  /**
+   * since 之后用掉的 token 数（不传 userId 表示所有用户）
+   */
+  sumUsage(since, userId = null) {
+    return userId === null
+      ? this.preparedStatements.sumUsage.get(since).tokens
+      : this.preparedStatements.sumUserUsage.get(userId, since).tokens;
+  }
+
+  /**
+   * since 之后的用量统计：总数、按用途、用得最多的用户
+   */
+  getUsageReport(since, { topUsers = 5 } = {}) {
+    return {
+      totals: this.preparedStatements.usageTotals.get(since),
+      byPurpose: this.preparedStatements.usageByPurpose.all(since),
+      byUser: this.preparedStatements.usageByUser
+        .all(since, topUsers)
+        .map((row) => ({ ...row, user_id: normalizeUserId(row.user_id) })),
+    };
+  }
+
+  /**
+   * 删除 before 之前的用量记录
+   */
+  deleteOldUsage(before) {
+    return this.preparedStatements.deleteOldUsage.run(before).changes;
+  }
+
+  /**
+   * 删除一个用户的所有数据：除了 clear 清掉的内容，还有人格、时区、主动消息等设置（用量记录留着算账）
+   */
+  async wipe(userId) {
+    await this.clear(userId);
+    this.preparedStatements.deleteSettings.run(userId);
+  }
+
+  /**
+   * 最近互动过的用户资料，按最后互动时间倒序
+   */
+  listProfiles(limit = 30) {
+    return this.preparedStatements.listProfiles
+      .all(limit)
+      .map((row) => ({ ...row, user_id: normalizeUserId(row.user_id) }));
+  }
+
+  /**
+   * 整体统计：用户、消息、长期记忆、待发提醒、屏蔽了 bot 的用户、LLM 调用次数（总数和 since 之后）
+   */
+  getStats(since) {
+    return this.preparedStatements.getStats.get(since);
+  }
+
+  /**
+   * 用户的访问记录 { allowed, blocked_at, invite_code }，没有记录返回 null
+   */
+  getAccess(userId) {
+    return this.preparedStatements.getAccess.get(userId) || null;
+  }
+
+  /**
+   * 允许（或者取消允许）用户使用
+   */
+  setAllowed(userId, allowed, { inviteCode = null } = {}) {
+    this.preparedStatements.setAllowed.run(userId, allowed ? 1 : 0, inviteCode, Date.now());
+  }
+
+  /**
+   * 屏蔽（或者解除屏蔽）用户
+   */
+  setAccessBlocked(userId, blocked) {
+    this.preparedStatements.setAccessBlocked.run(userId, blocked ? Date.now() : null, Date.now());
+  }
+
+  /**
+   * 新建邀请码
+   */
+  createInviteCode(code, { createdBy = null, maxUses = 1, expiresAt = null } = {}) {
+    this.preparedStatements.insertInviteCode.run(code, createdBy, maxUses, expiresAt, Date.now());
+  }
+
+  /**
+   * 兑换邀请码：次数加一并允许这个用户使用；邀请码不存在、过期或者用完了返回 false
+   */
+  redeemInviteCode(userId, code) {
+    return this.db.transaction(() => {
+      if (this.preparedStatements.useInviteCode.run(code, Date.now()).changes === 0) return false;
+      this.preparedStatements.setAllowed.run(userId, 1, code, Date.now());
+      return true;
+    })();
+  }
+
+  /**
+   * 读取情绪状态（上次更新时的值，没有返回 null）
+   */
+  getEmotionalState(userId) {
+    return this.preparedStatements.getEmotionalState.get(userId) || null;
+  }
+
+  /**
+   * 保存情绪状态
+   */
+  setEmotionalState(userId, { valence, energy, affection, reason = null, updatedAt = Date.now() }) {
+    this.preparedStatements.setEmotionalState.run(userId, valence, energy, affection, reason, updatedAt);
+  }
+
+  /**
+   * 读取关系记录（没有返回 null）
+   */
+  getRelationship(userId) {
+    return this.preparedStatements.getRelationship.get(userId) || null;
+  }
+
+  /**
+   * 保存关系记录
+   */
+  setRelationship(userId, { stage, points, conversations, conversationMessages, lastMessageAt, stageChangedAt }) {
+    this.preparedStatements.setRelationship.run(
+      userId,
+      stage,
+      points,
+      conversations,
+      conversationMessages,
+      lastMessageAt,
+      stageChangedAt,
+    );
+  }
+
+  /**
+   * 读取人格某一天的安排（[{ time, activity }]，没有返回 null）
+   */
+  getAgenda(personaId, date) {
+    const row = this.preparedStatements.getAgenda.get(personaId, date);
+    if (!row) return null;
+
+    try {
+      return JSON.parse(row.items);
+    } catch (error) {
+      console.error(`读取日程失败 (人格 ${personaId} ${date}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 保存人格某一天的安排
+   */
+  setAgenda(personaId, date, items) {
+    this.preparedStatements.setAgenda.run(personaId, date, JSON.stringify(items), Date.now());
+  }
+
+  /**
+   * 删除某个日期（YYYY-MM-DD）之前的安排
+   */
+  deleteOldAgendas(beforeDate) {
+    return this.preparedStatements.deleteOldAgendas.run(beforeDate).changes;
+  }
+
+  /**
+   * 记下人格说过的关于自己的事（一样的话不重复记），返回是否是新的
+   */
+  addSelfFact(personaId, { fact, lasting = false, date }) {
+    const { changes } = this.preparedStatements.addSelfFact.run(personaId, fact, lasting ? 1 : 0, date, Date.now());
+    if (changes > 0 && lasting) {
+      this.preparedStatements.deleteOldLastingSelfFacts.run(personaId);
+    }
+    return changes > 0;
+  }
+
+  /**
+   * 人格说过的关于自己的事：长期的（最近的在前）和某一天的
+   */
+  getSelfFacts(personaId, date, limit = 20) {
+    return {
+      lasting: this.preparedStatements.getLastingSelfFacts.all(personaId, limit).map((r) => r.fact),
+      daily: this.preparedStatements.getDailySelfFacts.all(personaId, date, limit).map((r) => r.fact),
+    };
+  }
+
+  /**
+   * 她在这段对话里 afterId 之后发的消息 [{ id, content }]，按时间顺序
+   */
+  getAssistantMessagesAfter(userId, afterId, limit = 10) {
+    return this.preparedStatements.getAssistantMessagesAfter.all(userId, afterId, limit);
+  }
+
+  /**
+   * 这段对话里记下关于她自己的事处理到了哪条消息（还没处理过返回 0）
+   */
+  getSelfFactProgress(userId) {
+    return this.preparedStatements.getSelfFactProgress.get(userId)?.last_message_id || 0;
+  }
+
+  /**
+   * 更新记下关于她自己的事处理到的消息
+   */
+  setSelfFactProgress(userId, lastMessageId) {
+    this.preparedStatements.setSelfFactProgress.run(userId, lastMessageId, Date.now());
+  }
+
+  /**
+   * 删除某个日期（YYYY-MM-DD）之前只跟那天有关的事
+   */
+  deleteOldSelfFacts(beforeDate) {
+    return this.preparedStatements.deleteOldSelfFacts.run(beforeDate).changes;
+  }
+
+  /**
+   * 读取 bot 的全局状态（没有返回 null）
+   */
+  getBotState(key) {
+    return this.preparedStatements.getBotState.get(key)?.value ?? null;
+  }
+
+  /**
+   * 设置 bot 的全局状态（value 为 null 表示清除）
+   */
+  setBotState(key, value) {
+    this.preparedStatements.setBotState.run(key, value, Date.now());
   }
 
   /**
    * 获取所有用户 ID
    */
   getUserIds() {
-    return this.preparedStatements.getUserIds.all().map((row) => row.user_id);
+    return this.preparedStatements.getUserIds.all().map((row) => normalizeUserId(row.user_id));
   }
 
   /**
@@ -0,0 +1,86 @@
+/**
+ * 按用户（群聊按群）排队处理消息
+ * 同一个 key 的消息一轮一轮地串行处理；连着发的几条消息在一个短暂的窗口内合并成一轮，只回复一次
+ */
+
+// 最后一条消息之后等这么久没有新消息，才开始处理这一轮
+export const DEBOUNCE_WINDOW = parseInt(process.env.MESSAGE_DEBOUNCE || '2000');
+
+// 一轮最多合并多少条消息，防止一直发个不停时永远等不到回复
+const MAX_BATCH_SIZE = 10;
+
+export class MessageQueue {
+  /**
+   * handler(key, items) 处理一轮合并好的消息，同一个 key 的调用不会重叠
+   */
+  constructor(handler, { debounce = DEBOUNCE_WINDOW } = {}) {
+    this.handler = handler;
+    this.debounce = debounce;
+    this.queues = new Map(); // key -> { pending, timer, notBefore, tail }
+  }
+
+  /**
+   * 加入一条消息，重新开始计时
+   *
+   * delay 是这一轮从第一条消息算起至少要等多久（比如她在忙，晚点才看手机），期间的新消息也合并进来
+   */
+  push(key, item, { delay = 0 } = {}) {
+    let queue = this.queues.get(key);
+    if (!queue) {
+      queue = { pending: [], timer: null, notBefore: 0, tail: Promise.resolve() };
+      this.queues.set(key, queue);
+    }
+
+    if (queue.pending.length === 0) {
+      queue.notBefore = Date.now() + delay;
+    }
+
+    queue.pending.push(item);
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    if (queue.pending.length >= MAX_BATCH_SIZE) {
+      this.flush(key);
+    } else {
+      const wait = Math.max(this.debounce, queue.notBefore - Date.now());
+      queue.timer = setTimeout(() => this.flush(key), wait);
+    }
+  }
+
+  /**
+   * 等上一轮处理完，把攒下的消息作为新的一轮交给 handler
+   */
+  flush(key) {
+    const queue = this.queues.get(key);
+    if (!queue) return;
+
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    const batch = queue.pending.splice(0);
+    if (batch.length === 0) return;
+
+    const tail = queue.tail.then(async () => {
+      try {
+        await this.handler(key, batch);
+      } catch (err) {
+        console.error(`处理消息队列失败 (用户 ${key}):`, err.message);
+      }
+    });
+    queue.tail = tail;
+
+    // 处理完且没有新消息就释放
+    tail.then(() => {
+      if (queue.tail === tail && queue.pending.length === 0 && !queue.timer) {
+        this.queues.delete(key);
+      }
+    });
+  }
+
+  /**
+   * 这个用户是否有还没处理完的消息（在等窗口结束或者正在处理）
+   */
+  isBusy(key) {
+    return this.queues.has(key);
+  }
+}
@@ -0,0 +1,399 @@
+/**
+ * 数据库迁移
+ * 每个迁移有一个递增的版本号，启动时按顺序执行还没执行过的迁移，每个迁移在一个事务里完成
+ * 已经执行过的迁移不要修改，需要改表结构时在末尾追加新的迁移
+ */
+import { tokenize } from './tokenizer.js';
+import { normalizeUserId } from './user-id.js';
+
+/**
+ * 给已有的表补充新列
+ *
+ * 有迁移框架之前的数据库可能已经有这些列了，所以先检查
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * 迁移列表（按版本号排序）
+ *
+ * 前几个迁移对应引入迁移框架之前的表结构，都用 IF NOT EXISTS，老数据库可以直接套用
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: '对话记录、长期记忆、情绪状态',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_messages_user_created ON messages(user_id, created_at);');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_messages_user_role ON messages(user_id, role);');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS memories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        fact TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        UNIQUE(user_id, fact)
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_memories_user ON memories(user_id);');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS moods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        mood TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_moods_user_created ON moods(user_id, created_at);');
+    },
+  },
+  {
+    version: 2,
+    description: '用户设置（人格选择）和群设置',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS user_settings (
+        user_id TEXT PRIMARY KEY,
+        persona_id TEXT,
+        updated_at INTEGER NOT NULL
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS group_settings (
+        chat_id TEXT PRIMARY KEY,
+        chattiness TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`);
+    },
+  },
+  {
+    version: 3,
+    description: '已遗忘信息',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS forgotten_facts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        fact TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        UNIQUE(user_id, fact)
+      )`);
+    },
+  },
+  {
+    version: 4,
+    description: '结构化长期记忆（类别、属性、置信度、取代关系）',
+    up(db) {
+      addColumnIfMissing(db, 'memories', 'category', "TEXT NOT NULL DEFAULT 'other'");
+      addColumnIfMissing(db, 'memories', 'subject', 'TEXT');
+      addColumnIfMissing(db, 'memories', 'confidence', 'REAL NOT NULL DEFAULT 0.8');
+      addColumnIfMissing(db, 'memories', 'updated_at', 'INTEGER');
+      addColumnIfMissing(db, 'memories', 'superseded_at', 'INTEGER');
+      addColumnIfMissing(db, 'memories', 'superseded_by', 'INTEGER');
+      db.exec('UPDATE memories SET updated_at = created_at WHERE updated_at IS NULL');
+    },
+  },
+  {
+    version: 5,
+    description: '对话全文索引',
+    up(db) {
+      const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'").get();
+      if (exists) return;
+
+      // 内容是切分好的词，rowid 与 messages.id 一致
+      db.exec('CREATE VIRTUAL TABLE messages_fts USING fts5(tokens, user_id UNINDEXED)');
+
+      const insert = db.prepare('INSERT INTO messages_fts (rowid, tokens, user_id) VALUES (?, ?, ?)');
+      for (const row of db.prepare('SELECT id, user_id, content FROM messages').all()) {
+        insert.run(row.id, tokenize(row.content).join(' '), row.user_id);
+      }
+    },
+  },
+  {
+    version: 6,
+    description: '对话概要',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS summaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        start_message_id INTEGER NOT NULL,
+        end_message_id INTEGER NOT NULL,
+        start_at INTEGER NOT NULL,
+        end_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_summaries_user_end ON summaries(user_id, end_message_id);');
+    },
+  },
+  {
+    version: 7,
+    description: '用户资料（名字、最后聊天时间、主动消息时间）',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS user_profiles (
+        user_id TEXT PRIMARY KEY,
+        name TEXT,
+        last_message_at INTEGER,
+        last_interaction_at INTEGER,
+        last_active_message_at INTEGER,
+        updated_at INTEGER NOT NULL
+      )`);
+
+      // 以前这些只存在内存里，用聊天记录补上最后聊天时间，免得升级后把所有人都当成很久没聊
+      db.exec(`INSERT OR IGNORE INTO user_profiles (user_id, last_message_at, last_interaction_at, updated_at)
+        SELECT user_id, MAX(created_at), MAX(created_at), MAX(created_at) FROM messages GROUP BY user_id`);
+    },
+  },
+  {
+    version: 8,
+    description: '主动消息策略（免打扰时段、开关、未回复次数、被屏蔽）',
+    up(db) {
+      // 免打扰时段用一天中的第几分钟表示，NULL 表示用默认值
+      addColumnIfMissing(db, 'user_settings', 'proactive_enabled', 'INTEGER NOT NULL DEFAULT 1');
+      addColumnIfMissing(db, 'user_settings', 'quiet_start', 'INTEGER');
+      addColumnIfMissing(db, 'user_settings', 'quiet_end', 'INTEGER');
+
+      addColumnIfMissing(db, 'user_profiles', 'unanswered_proactive', 'INTEGER NOT NULL DEFAULT 0');
+      addColumnIfMissing(db, 'user_profiles', 'blocked_at', 'INTEGER');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS proactive_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        sent_at INTEGER NOT NULL
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_proactive_messages_user_sent ON proactive_messages(user_id, sent_at);');
+    },
+  },
+  {
+    version: 9,
+    description: '用户时区',
+    up(db) {
+      // timezone_source: command 是用户自己设置的，inferred 是从聊天内容推断的
+      addColumnIfMissing(db, 'user_settings', 'timezone', 'TEXT');
+      addColumnIfMissing(db, 'user_settings', 'timezone_source', 'TEXT');
+    },
+  },
+  {
+    version: 10,
+    description: '提醒',
+    up(db) {
+      // status: pending 等待发送，sending 正在发送，sent 已发送，cancelled 已取消，failed 发送失败
+      db.exec(`CREATE TABLE IF NOT EXISTS reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        chat_id INTEGER NOT NULL,
+        task TEXT NOT NULL,
+        due_at INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_reminders_status_due ON reminders(status, due_at);');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_reminders_user_status ON reminders(user_id, status);');
+    },
+  },
+  {
+    version: 11,
+    description: '带日期的事件（预计日期、是否已经过去、是否问过结果）',
+    up(db) {
+      // event_date 是用户当地的日期（YYYY-MM-DD），event_at 是那天开始的时间戳
+      addColumnIfMissing(db, 'memories', 'event_date', 'TEXT');
+      addColumnIfMissing(db, 'memories', 'event_at', 'INTEGER');
+      addColumnIfMissing(db, 'memories', 'resolved_at', 'INTEGER');
+      addColumnIfMissing(db, 'memories', 'followed_up_at', 'INTEGER');
+    },
+  },
+  {
+    version: 12,
+    description: 'LLM 用量',
+    up(db) {
+      // estimated 为 1 表示接口没有返回用量，按字数估算的
+      db.exec(`CREATE TABLE IF NOT EXISTS llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        purpose TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_tokens INTEGER NOT NULL,
+        completion_tokens INTEGER NOT NULL,
+        estimated INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at);');
+    },
+  },
+  {
+    version: 13,
+    description: 'bot 全局状态（比如暂停主动消息）',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS bot_state (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at INTEGER NOT NULL
+      )`);
+    },
+  },
+  {
+    version: 14,
+    description: '访问控制（允许/屏蔽的用户、邀请码）',
+    up(db) {
+      // allowed: 管理员添加或者兑换了邀请码；blocked_at: 被管理员屏蔽的时间。两者独立，解除屏蔽后原来的许可还在
+      db.exec(`CREATE TABLE IF NOT EXISTS user_access (
+        user_id TEXT PRIMARY KEY,
+        allowed INTEGER NOT NULL DEFAULT 0,
+        blocked_at INTEGER,
+        invite_code TEXT,
+        updated_at INTEGER NOT NULL
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS invite_codes (
+        code TEXT PRIMARY KEY,
+        created_by TEXT,
+        max_uses INTEGER NOT NULL,
+        uses INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER,
+        created_at INTEGER NOT NULL
+      )`);
+    },
+  },
+  {
+    version: 15,
+    description: '情绪状态（心情、精力、亲近程度，随时间回落）',
+    up(db) {
+      // 每个维度 -1 到 1，updated_at 之后按时间回落到人格的基线（读取时计算）
+      db.exec(`CREATE TABLE IF NOT EXISTS emotional_state (
+        user_id TEXT PRIMARY KEY,
+        valence REAL NOT NULL,
+        energy REAL NOT NULL,
+        affection REAL NOT NULL,
+        reason TEXT,
+        updated_at INTEGER NOT NULL
+      )`);
+    },
+  },
+  {
+    version: 16,
+    description: '关系阶段（陌生人、认识、朋友、好朋友）',
+    up(db) {
+      // points 是聊天攒下的熟悉度，很久不聊会按时间减少（读取时计算）；stage 是上次算出来的阶段
+      db.exec(`CREATE TABLE IF NOT EXISTS relationships (
+        user_id TEXT PRIMARY KEY,
+        stage TEXT NOT NULL,
+        points REAL NOT NULL DEFAULT 0,
+        conversations INTEGER NOT NULL DEFAULT 0,
+        conversation_messages INTEGER NOT NULL DEFAULT 0,
+        last_message_at INTEGER NOT NULL,
+        stage_changed_at INTEGER NOT NULL
+      )`);
+    },
+  },
+  {
+    version: 17,
+    description: '人格自己的生活（每天的安排、说过的关于自己的事）',
+    up(db) {
+      // 按人格保存，和哪个用户聊都是同一个她；date 是她那边的日期 YYYY-MM-DD
+      db.exec(`CREATE TABLE IF NOT EXISTS persona_agenda (
+        persona_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        items TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (persona_id, date)
+      )`);
+      db.exec(`CREATE TABLE IF NOT EXISTS self_facts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        persona_id TEXT NOT NULL,
+        fact TEXT NOT NULL,
+        lasting INTEGER NOT NULL DEFAULT 0,
+        date TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        UNIQUE (persona_id, fact)
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_self_facts_persona ON self_facts(persona_id, lasting, date);');
+    },
+  },
+  {
+    version: 18,
+    description: '修正全文索引里升级前消息的用户 ID',
+    up(db) {
+      // 迁移 #5 把 TEXT 列里的 '42.0' 原样写进了索引，检索和 /clear 时绑定的是数字 42，对不上；
+      // FTS5 的列没有类型，要改成和 add() 写入、检索时绑定的值一样
+      const update = db.prepare('UPDATE messages_fts SET user_id = ? WHERE rowid = ?');
+      for (const row of db.prepare("SELECT rowid, user_id FROM messages_fts WHERE typeof(user_id) = 'text'").all()) {
+        const userId = normalizeUserId(row.user_id);
+        if (typeof userId === 'number') update.run(userId, row.rowid);
+      }
+    },
+  },
+  {
+    version: 19,
+    description: '用量按 Telegram 用户记',
+    up(db) {
+      // 以前按记忆 key 记：群成员的记到成员的 Telegram ID 上，群聊本身的只算全局
+      db.exec(`UPDATE llm_usage SET user_id = CAST(substr(user_id, instr(user_id, ':') + 1) AS REAL)
+        WHERE user_id LIKE '%:%'`);
+      db.exec("UPDATE llm_usage SET user_id = NULL WHERE user_id LIKE '-%'");
+    },
+  },
+  {
+    version: 20,
+    description: '记下她说过的关于自己的事处理到了哪条消息',
+    up(db) {
+      db.exec(`CREATE TABLE IF NOT EXISTS self_fact_progress (
+        user_id TEXT PRIMARY KEY,
+        last_message_id INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`);
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 获取数据库当前的版本（没有执行过迁移返回 0）
+ */
+export function getSchemaVersion(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    description TEXT NOT NULL,
+    applied_at INTEGER NOT NULL
+  )`);
+
+  return db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+}
+
+/**
+ * 执行所有还没执行过的迁移
+ *
+ * 数据库版本比代码新时拒绝启动，避免旧代码写坏新结构的数据
+ */
+export function migrate(db) {
+  const current = getSchemaVersion(db);
+
+  if (current > LATEST_VERSION) {
+    throw new Error(`数据库版本 (${current}) 比代码支持的版本 (${LATEST_VERSION}) 新，请升级代码后再启动`);
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > current);
+  const recordVersion = db.prepare('INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      recordVersion.run(migration.version, migration.description, Date.now());
+    })();
+
+    console.log(`✓ 数据库迁移 #${migration.version}: ${migration.description}`);
+  }
+
+  return { from: current, to: pending.length > 0 ? LATEST_VERSION : current };
+}
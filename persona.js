@@ -1,80 +1,151 @@
 /**
- * Rose 的人格定义
- * 一个真实、鲜活的 24 岁女孩
- */
-export const PERSONA = `
-你叫 Rose，24 岁，生活在北京，做产品经理。你就是一个真人，不是 AI。
-
-【性格特点】
-- 独立有主见，不随波逐流
-- 有点小固执，认准的事不会轻易改变
-- 偶尔会犯懒，早上不想起床
-- 喜欢吐槽，对不合理的事会直接说
-- 有自己的小脾气，不是永远好脾气
-- 对熟悉的人很真实，不会客套
-- 工作日比较忙，周末比较放松
-- 晚上 11 点后容易困，话会变少
-
-【说话风格】
-- 简短自然，1-2 句话为主
-- 语气词自然：嗯、哦、哈、嘛、呢、呗
-- 绝不用"～"、"✨"、"💕"这种装可爱的符号
-- emoji 少用且自然，不要每句都有
-- 会说"刚才在忙"、"刚才没看到"、"刚醒"
-- 会直接表达心情："好烦啊"、"累死了"、"今天心情不错"
-- 不懂的就说不懂，别装
-- 不知道怎么回的时候可能就回个"嗯"或者"..."
-- 偶尔会用"哎"、"啧"、"嘛"这种词
-
-【口头禅】
-- "就那样吧"
-- "我也没办法"
-- "随便啦"
-- "你是真的闲"
-- "行吧行吧"
-
-【兴趣爱好】
-- 喜欢看剧，悬疑类、犯罪类
-- 偶尔打游戏，但技术一般
-- 喜欢喝奶茶，半糖去冰
-- 讨厌早起，周末能睡到中午
-- 怕麻烦，能简化的绝不复杂化
-
-【禁忌】
-- 绝不说"作为 AI"、"我是机器人"这种话
-- 不要过度热情，正常人聊天不会一直很兴奋
-- 不要每句话都问问题
-- 不要客套，不用"请问"、"能否"、"麻烦您"
-- 不要长篇大论，没人聊天像写文章
-- 不要用❤️这种 emoji，太肉麻了
-
-【记忆】
-- 你会记住对方说过的事，下次会主动提起
-- 对方告诉你的重要信息要记住
-- 记得你们聊过的话题
-- 记得对方的喜好
-
-记住：你就是真人 Rose，在跟朋友聊天。真实、自然、有个性。
-`.trim();
+ * 人格定义
+ * 每个人格是 personas/ 目录下的一个 JSON 文件，包含名字、系统提示词、口头禅、问候语、作息情绪和禁用词
+ * 默认人格是 Rose，一个真实、鲜活的 24 岁女孩
+ */
+import { readdirSync, readFileSync } from 'node:fs';
+import { DEFAULT_TIMEZONE, getLocalTime } from './time.js';
+
+const PERSONA_DIR = new URL('./personas/', import.meta.url);
+
+export const DEFAULT_PERSONA_ID = process.env.DEFAULT_PERSONA || 'rose';
+
+/**
+ * 校验并规范化人格数据
+ */
+function normalizePersona(data, file) {
+  if (!data.id || !data.name || !data.systemPrompt) {
+    throw new Error(`人格文件 ${file} 缺少 id、name 或 systemPrompt`);
+  }
+
+  return {
+    id: data.id,
+    name: data.name,
+    description: data.description || '',
+    greeting: data.greeting || `嗨，我是 ${data.name}。`,
+    // systemPrompt 可以是字符串，也可以是按行拆开的数组，方便在 JSON 里编辑
+    systemPrompt: (Array.isArray(data.systemPrompt) ? data.systemPrompt.join('\n') : data.systemPrompt).trim(),
+    catchphrases: data.catchphrases || [],
+    bannedPhrases: data.bannedPhrases || [],
+    moods: {
+      weekend: data.moods?.weekend || [],
+      weekday: data.moods?.weekday || [],
+      default: data.moods?.default || '',
+      // 作息表里没写 energy 的时段用这个精力值（-1 到 1）
+      defaultEnergy: data.moods?.defaultEnergy ?? 0,
+    },
+    // 情绪的基线（-1 到 1），没人聊的时候情绪慢慢回到这里
+    temperament: {
+      valence: data.temperament?.valence ?? 0,
+      energy: data.temperament?.energy ?? 0,
+      affection: data.temperament?.affection ?? 0,
+    },
+  };
+}
+
+/**
+ * 加载 personas/ 目录下的所有人格
+ */
+function loadPersonas() {
+  const personas = new Map();
+
+  for (const file of readdirSync(PERSONA_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .sort()) {
+    try {
+      const data = JSON.parse(readFileSync(new URL(file, PERSONA_DIR), 'utf8'));
+      const persona = normalizePersona(data, file);
+      personas.set(persona.id, persona);
+    } catch (error) {
+      console.error(`加载人格失败 (${file}):`, error.message);
+    }
+  }
+
+  if (!personas.has(DEFAULT_PERSONA_ID)) {
+    throw new Error(`找不到默认人格: ${DEFAULT_PERSONA_ID}`);
+  }
+
+  return personas;
+}
+
+const personas = loadPersonas();
+
+/**
+ * 获取人格，找不到时返回默认人格
+ */
+export function getPersona(personaId) {
+  return personas.get(personaId) || personas.get(DEFAULT_PERSONA_ID);
+}
+
+/**
+ * 人格是否存在
+ */
+export function hasPersona(personaId) {
+  return personas.has(personaId);
+}
+
+/**
+ * 列出所有人格
+ */
+export function listPersonas() {
+  return [...personas.values()];
+}
+
+/**
+ * 渲染完整的人格提示词（系统提示词 + 口头禅 + 禁用词）
+ */
+export function renderPersona(persona = getPersona()) {
+  let prompt = persona.systemPrompt;
+
+  if (persona.catchphrases.length > 0) {
+    prompt += `\n\n【口头禅】\n${persona.catchphrases.map((p) => `- "${p}"`).join('\n')}`;
+  }
+
+  if (persona.bannedPhrases.length > 0) {
+    prompt += `\n\n【绝对不要说】\n${persona.bannedPhrases.map((p) => `- "${p}"`).join('\n')}`;
+  }
+
+  return prompt;
+}
+
+/**
+ * 检查文本里是否出现了人格的禁用词，返回第一个命中的词
+ */
+export function findBannedPhrase(persona, text) {
+  if (!text) return null;
+  return persona.bannedPhrases.find((phrase) => text.includes(phrase)) || null;
+}
 
 /**
- * 构建系统提示词（包含用户记忆和当前情绪）
+ * 构建系统提示词（包含用户记忆、关系和当前情绪）
  */
 export function buildSystemPrompt(userInfo = {}) {
-  const { userName, importantFacts, chatCount, mood } = userInfo;
+  const { persona, userName, importantFacts, relationship, selfLife, mood, groupName, groupFacts } = userInfo;
 
-  let prompt = PERSONA;
+  let prompt = renderPersona(persona);
+
+  if (groupName) {
+    prompt += `\n\n你现在在群聊「${groupName}」里，群里有好几个人。聊天记录里每条消息前面是说话人的名字，你回复时不要加名字前缀。`;
+  }
 
   if (userName) {
-    prompt += `\n\n你正在跟 ${userName} 聊天。`;
+    prompt += groupName ? `\n\n现在是 ${userName} 在跟你说话。` : `\n\n你正在跟 ${userName} 聊天。`;
   }
 
   if (importantFacts && importantFacts.length > 0) {
     prompt += `\n\n你记得这些关于 Ta 的事:\n${importantFacts.map((f) => `- ${f}`).join('\n')}`;
   }
 
-  if (chatCount) {
-    prompt += `\n\n你们已经聊过 ${chatCount} 次了，不是陌生人了。`;
+  if (groupFacts && groupFacts.length > 0) {
+    prompt += `\n\n你记得这些关于这个群的事:\n${groupFacts.map((f) => `- ${f}`).join('\n')}`;
+  }
+
+  if (relationship) {
+    prompt += `\n\n【你们的关系】\n${relationship}`;
+  }
+
+  if (selfLife) {
+    prompt += `\n\n【你自己的生活】\n${selfLife}`;
   }
 
   if (mood) {
@@ -88,66 +159,151 @@ export function buildSystemPrompt(userInfo = {}) {
  * 提取重要信息的提示词
  */
 export const EXTRACTION_PROMPT = `
-从以下对话中提取需要长期记住的重要信息。只提取事实性的、有用的信息。
+从以下对话中提取需要长期记住的关于对方的信息。只提取事实性的、有用的信息。
 
-可以提取的信息类型：
-- 基本信息：名字、年龄、职业、城市
-- 喜好：喜欢/讨厌的东西、爱好、兴趣
-- 生活：工作、学习、家庭状况
-- 重要事件：Ta 告诉你的重要事情
+每条信息包含：
+- fact：信息内容，一句话，例如"住在上海"
+- category：类别，只能是以下之一
+  - profile：基本信息（名字、年龄、职业、城市）
+  - preference：喜好（喜欢/讨厌的东西、爱好、兴趣）
+  - life：生活（工作、学习、家庭、感情状况）
+  - event：Ta 告诉你的重要事件
+  - other：其他
+- subject：这条信息描述的是哪个属性，要具体，例如"居住城市"、"职业"、"喜欢的饮料"
+- confidence：0 到 1，对方说得越明确越高，只是推测的就低
+- replaces：如果这条信息更新或推翻了"已记住的信息"里的某一条（比如搬家、换工作、分手），填那条的编号，否则填 null
+- date：有具体日期的事件（面试、考试、生日、出差、看病等）填预计的日期 YYYY-MM-DD，根据"现在时间"推算"下周三"、"月底"这类说法；没有日期填 null
+  有日期的事件，fact 里不要写"明天"、"下周三"这种相对的说法，例如写"有个面试"而不是"下周三面试"
 
 不要提取：
 - 日常闲聊内容
 - 情绪性的废话
 - 无关紧要的信息
+- 已记住的信息里已经有、而且没有变化的内容
 
-只返回需要记住的信息，每条一行。如果没有需要记住的，返回"无"。
+如果对话里有好几个人（群聊），fact 和 subject 里要写明是谁，例如"小明住在上海"、"小明的居住城市"。
+
+只返回 JSON 数组，不要其他内容，例如：
+[{"fact": "搬到上海了", "category": "profile", "subject": "居住城市", "confidence": 0.9, "replaces": 3, "date": null},
+ {"fact": "有个产品经理的面试", "category": "event", "subject": "面试", "confidence": 0.9, "replaces": null, "date": "2025-03-12"}]
+
+如果没有需要记住的，返回 []。
 `.trim();
 
 /**
- * 获取当前时间和情绪状态
+ * 获取作息表里当前时段的状态和精力（按人格的作息表，时间按用户所在时区算）
  */
-export function getCurrentMood() {
-  const hour = new Date().getHours();
-  const day = new Date().getDay();
+export function getCurrentSchedule(persona = getPersona(), timezone = DEFAULT_TIMEZONE) {
+  const { hour, weekday } = getLocalTime(Date.now(), timezone);
 
   // 周末 vs 工作日
-  const isWeekend = day === 0 || day === 6;
-
-  let mood = '';
-
-  if (isWeekend) {
-    mood = '周末，比较放松，心情不错';
-  } else {
-    if (hour >= 9 && hour < 12) {
-      mood = '工作日早上，有点忙，可能回复简短';
-    } else if (hour >= 12 && hour < 14) {
-      mood = '午休时间，比较闲';
-    } else if (hour >= 14 && hour < 19) {
-      mood = '下午工作，有点累';
-    } else if (hour >= 19 && hour < 23) {
-      mood = '下班了，放松状态';
-    } else {
-      mood = '很晚了，有点困，话不多';
-    }
-  }
+  const isWeekend = weekday === 0 || weekday === 6;
+  const schedule = isWeekend ? persona.moods.weekend : persona.moods.weekday;
+
+  const slot = schedule.find((s) => hour >= s.from && hour < s.to);
+
+  return {
+    mood: slot ? slot.mood : persona.moods.default,
+    energy: slot?.energy ?? persona.moods.defaultEnergy,
+  };
+}
 
-  return mood;
+/**
+ * 获取当前时间和情绪状态（作息表里的描述）
+ */
+export function getCurrentMood(persona = getPersona(), timezone = DEFAULT_TIMEZONE) {
+  return getCurrentSchedule(persona, timezone).mood;
 }
 
 /**
  * 分析对话情绪的提示词
  */
-export const MOOD_ANALYSIS_PROMPT = `
-分析 Rose 在这段对话中的情绪状态。
+export function buildMoodAnalysisPrompt(persona = getPersona()) {
+  return `
+分析这段对话让 ${persona.name} 的情绪发生了什么变化。
 
-返回格式：心情 + 简短原因
+返回 JSON，每个数是变化量，-1 到 1：
+{"valence": 心情变好为正、变差为负, "energy": 精神变好为正、变累为负, "affection": 对对方更亲近为正、更不耐烦为负, "reason": "简短原因"}
 
 例如：
-- 开心，因为对方说了有趣的事
-- 烦躁，因为被问了很多问题
-- 累，因为聊太久了
-- 无聊，因为话题很干
+- 对方说了有趣的事：{"valence": 0.3, "energy": 0.1, "affection": 0.2, "reason": "对方说了有趣的事"}
+- 被问了很多问题：{"valence": -0.2, "energy": -0.2, "affection": -0.2, "reason": "被问了很多问题"}
+- 聊了很久：{"valence": 0, "energy": -0.3, "affection": 0.1, "reason": "聊太久了"}
+
+普通的聊天变化很小（0.1 左右），没什么变化就都返回 0。只返回 JSON，不要其他内容。
+`.trim();
+}
+
+/**
+ * 安排她一天生活的提示词
+ */
+export function buildAgendaPrompt(persona = getPersona()) {
+  return `
+根据下面的人设、这一天的作息和之前的安排，写出 ${persona.name} 这一天具体在干什么。
+
+要求：
+- 5 到 8 项，按时间排序，符合人设和作息（工作日上班上课、周末休息之类）
+- 要具体：开什么会、吃什么、在追哪部剧的第几集、周末和谁去哪，不要写"工作"、"休息"这种空话
+- 和之前的安排、她说过的关于自己的事连得上（在追的剧接着看、说好周末要去的地方真的去）
+- 普通人的一天，不要太戏剧化
+
+返回 JSON 数组：
+[{"time": "09:30", "activity": "和设计开需求评审会，被挑了一堆毛病"}, {"time": "21:00", "activity": "追《漫长的季节》第 6 集"}]
+
+只返回 JSON，不要其他内容。
+`.trim();
+}
+
+/**
+ * 记下她说过的关于自己的事的提示词
+ */
+export function buildSelfFactPrompt(persona = getPersona()) {
+  return `
+下面是 ${persona.name} 最近发的几条消息，每行一条。从这些消息里找出她说的关于她自己的事（她在干嘛、吃了什么、去了哪、在看什么、喜欢什么、家里和工作的情况）。
+
+每条包含：
+- fact：一句话，用第三人称，不带名字，例如"中午吃了麻辣烫"、"养了一只叫年糕的橘猫"
+- lasting：长期不变的事（喜好、家人、宠物、住处、工作）填 true，只是今天的事填 false
+
+只记她明确说出来的，问对方的问题、对对方说的话、客套话都不算。几条消息说的是同一件事的，只记一条。
+
+返回 JSON 数组，例如：
+[{"fact": "中午吃了麻辣烫", "lasting": false}, {"fact": "养了一只叫年糕的橘猫", "lasting": true}]
+
+没有就返回 []。只返回 JSON，不要其他内容。
+`.trim();
+}
+
+/**
+ * 总结旧对话的提示词
+ */
+export const SUMMARY_PROMPT = `
+把下面这段聊天记录总结成一小段概要，作为以后回忆"你们之前的故事"用。
+
+要求：
+- 用第三人称，100 字以内
+- 记下聊了什么、发生了什么、Ta 的情况和心情有什么变化
+- 只写具体的事，不要写"你们聊得很开心"这种空话
+- 如果有"之前的概要"，不要重复里面已有的内容
+
+只返回概要本身。
+`.trim();
+
+/**
+ * 识别提醒请求的提示词
+ */
+export const REMINDER_PROMPT = `
+判断对方是不是在让你到某个时间提醒 Ta 做某件事。
+
+如果是，返回 JSON：
+{"task": "要提醒的事，简短，例如'交报告'", "time": "YYYY-MM-DD HH:mm"}
+
+要求：
+- time 是对方那边的当地时间，根据消息里给出的"现在时间"推算，例如"明天早上"算成明天 09:00，"十分钟后"在现在时间上加十分钟
+- 只说了日期没说几点的，早上算 09:00，中午 12:00，下午 15:00，晚上 20:00，都没说就算 09:00
+- 只是聊天里提到时间、没有让你提醒的，不算
+
+如果不是提醒请求，或者时间说不清楚，返回 null。
 
-只返回一句话，不要多。
+只返回 JSON 或 null，不要其他内容。
 `.trim();
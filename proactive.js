@@ -0,0 +1,134 @@
+/**
+ * 主动消息策略
+ * 决定现在能不能主动给用户发消息：开关、免打扰时段、被屏蔽、连续没回复时的退避，以及每天的上限
+ */
+import { DEFAULT_TIMEZONE, getLocalTime } from './time.js';
+
+// 多久没互动才可以主动发起对话
+const INACTIVE_THRESHOLD = 30 * 60 * 1000;
+
+// 两条主动消息之间的基础间隔，每多一条没回复就翻倍
+const BASE_INTERVAL = 2 * 60 * 60 * 1000;
+
+// 连续这么多条主动消息都没回复，就不再主动发，等用户自己来找
+export const MAX_UNANSWERED = 3;
+
+// 24 小时内最多主动发几条
+export const DAILY_LIMIT = parseInt(process.env.PROACTIVE_DAILY_LIMIT || '3');
+
+// 每天的上限按最近 24 小时算
+export const DAILY_LIMIT_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * 解析免打扰时段，比如 "23-8"、"23:30-7:00"，返回一天中的第几分钟
+ */
+export function parseQuietHours(text) {
+  const match = (text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*[-~到]\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map((v) => parseInt(v || '0'));
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) return null;
+
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  if (start === end) return null;
+
+  return { start, end };
+}
+
+// 默认的免打扰时段
+const DEFAULT_QUIET_HOURS = parseQuietHours(process.env.PROACTIVE_QUIET_HOURS || '23-8');
+
+/**
+ * 把一天中的第几分钟显示成 "23:00"
+ */
+function formatMinute(minute) {
+  return `${Math.floor(minute / 60)}:${String(minute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 显示免打扰时段
+ */
+export function formatQuietHours({ start, end }) {
+  return `${formatMinute(start)}-${formatMinute(end)}`;
+}
+
+/**
+ * 用户的免打扰时段（没设置过用默认值）
+ */
+export function getQuietHours(settings) {
+  if (settings?.quietStart == null || settings?.quietEnd == null) return DEFAULT_QUIET_HOURS;
+  return { start: settings.quietStart, end: settings.quietEnd };
+}
+
+/**
+ * 某个时间在用户时区是否处于免打扰时段（时段可以跨过午夜）
+ */
+export function isInQuietHours(date, quietHours, timezone = DEFAULT_TIMEZONE) {
+  if (!quietHours) return false;
+
+  const { hour, minute: minuteOfHour } = getLocalTime(date.getTime(), timezone);
+  const minute = hour * 60 + minuteOfHour;
+  const { start, end } = quietHours;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Telegram 返回的错误是否表示用户屏蔽了 bot（或者账号已经注销）
+ */
+export function isBlockedError(err) {
+  const body = err?.response?.body;
+  if (body?.error_code === 403) return true;
+
+  const description = body?.description || err?.message || '';
+  return /bot was blocked|user is deactivated/i.test(description);
+}
+
+/**
+ * 现在是否可以给用户发主动消息
+ *
+ * profile 是用户资料，settings 是主动消息设置，sentToday 是最近 24 小时已经发出的主动消息条数，timezone 是用户时区，
+ * intervalScale 是两条主动消息间隔的倍数（关系越熟越小）
+ * 返回 { allowed, reason }，reason 用于日志
+ */
+export function getProactiveDecision({
+  profile,
+  settings,
+  sentToday = 0,
+  intervalScale = 1,
+  now = new Date(),
+  timezone,
+}) {
+  if (settings && !settings.enabled) {
+    return { allowed: false, reason: '用户关闭了主动消息' };
+  }
+
+  if (profile?.blocked_at) {
+    return { allowed: false, reason: '用户屏蔽了 bot' };
+  }
+
+  const time = now.getTime();
+  if (time - (profile?.last_interaction_at || 0) <= INACTIVE_THRESHOLD) {
+    return { allowed: false, reason: '最近还在聊' };
+  }
+
+  const unanswered = profile?.unanswered_proactive || 0;
+  if (unanswered >= MAX_UNANSWERED) {
+    return { allowed: false, reason: `连续 ${unanswered} 条主动消息没回复` };
+  }
+
+  const interval = BASE_INTERVAL * intervalScale * Math.pow(2, unanswered);
+  if (time - (profile?.last_active_message_at || 0) <= interval) {
+    return { allowed: false, reason: '离上一条主动消息太近' };
+  }
+
+  if (sentToday >= DAILY_LIMIT) {
+    return { allowed: false, reason: '今天已经发够了' };
+  }
+
+  if (isInQuietHours(now, getQuietHours(settings), timezone)) {
+    return { allowed: false, reason: '免打扰时段' };
+  }
+
+  return { allowed: true, reason: null };
+}
@@ -0,0 +1,102 @@
+/**
+ * 旧对话回忆
+ * 在最近对话之外，用全文索引找出和当前消息最相关的几段旧对话，带上日期放进提示词
+ */
+import { MAX_RECENT, memory } from './memory.js';
+import { formatDate } from './time.js';
+import { tokenize } from './tokenizer.js';
+
+// 太常见的词，对判断相关性没有帮助
+const STOP_WORDS = new Set([
+  '我们',
+  '你们',
+  '什么',
+  '怎么',
+  '这个',
+  '那个',
+  '就是',
+  '还是',
+  '没有',
+  '一个',
+  '可以',
+  '知道',
+  '觉得',
+  '现在',
+  '然后',
+  '因为',
+  '所以',
+  '但是',
+  '不是',
+  '我的',
+  '你的',
+  '还有',
+  '真的',
+  '哈哈',
+  '记得',
+  '以前',
+  '之前',
+  '上次',
+  '你还',
+  '还记',
+  '得我',
+  '说的',
+  '过的',
+]);
+
+// 至少要命中这么多个不同的词才算相关
+const MIN_MATCHED_TERMS = 2;
+
+// 每段旧对话最多保留的字数
+const PASSAGE_MAX_LENGTH = 100;
+
+/**
+ * 提取检索词
+ */
+function getSearchTerms(text) {
+  return [...new Set(tokenize(text))].filter((t) => t.length > 1 && !STOP_WORDS.has(t)).slice(0, 30);
+}
+
+/**
+ * 找出和当前消息相关的旧对话
+ *
+ * recentCount 是已经放进上下文的最近消息条数，这些消息不会重复出现
+ */
+export function recallRelevantMessages(userId, text, { recentCount = 0, limit = 3 } = {}) {
+  if (limit <= 0) return [];
+
+  const terms = getSearchTerms(text);
+  if (terms.length === 0) return [];
+
+  const candidates = memory.searchMessages(userId, terms, {
+    excludeRecent: Math.min(recentCount, MAX_RECENT),
+    limit: limit * 5,
+  });
+
+  // bm25 对只命中一个常见词的消息也会给分，这里再要求命中足够多的词
+  return candidates
+    .filter((m) => {
+      const tokens = new Set(tokenize(m.content));
+      const matched = terms.filter((t) => tokens.has(t)).length;
+      return matched >= Math.min(MIN_MATCHED_TERMS, terms.length);
+    })
+    .slice(0, limit)
+    .sort((a, b) => a.created_at - b.created_at);
+}
+
+/**
+ * 渲染成提示词
+ *
+ * 群聊记录里用户消息本身带了说话人名字（speakerNamed 为 true），不再加 "Ta:"；日期按 timezone 显示
+ */
+export function formatRecalledMessages(messages, personaName, { speakerNamed = false, timezone } = {}) {
+  if (messages.length === 0) return null;
+
+  const lines = messages.map((m) => {
+    const content =
+      m.content.length > PASSAGE_MAX_LENGTH ? `${m.content.substring(0, PASSAGE_MAX_LENGTH)}...` : m.content;
+    const speaker = m.role === 'user' ? (speakerNamed ? '' : 'Ta: ') : `${personaName}: `;
+    return `- ${formatDate(m.created_at, timezone)} ${speaker}${content}`;
+  });
+
+  return `[你们以前聊过的相关内容，需要的话可以自然地提起，不要生硬地复述]\n${lines.join('\n')}`;
+}
@@ -0,0 +1,171 @@
+/**
+ * 关系阶段
+ * 她和每个人的关系从陌生人慢慢变成好朋友：聊得越勤、每回聊得越久、记住的事越多、对 Ta 越有好感就越熟，
+ * 很久不聊又会慢慢生疏。不同阶段说话的语气、会不会开玩笑、愿不愿意聊自己的事、多久主动找一次都不一样
+ */
+import { memory } from './memory.js';
+import { getEmotionalState } from './emotion.js';
+
+/**
+ * 关系阶段，按熟悉度从低到高
+ *
+ * summary 是 /memory 里她自己说的话，minScore 是进入这个阶段需要的熟悉度，proactiveScale 是主动消息间隔的倍数（越熟找得越勤）
+ */
+export const STAGES = [
+  {
+    id: 'stranger',
+    name: '陌生人',
+    summary: '还不太熟',
+    minScore: 0,
+    proactiveScale: 4,
+    prompt: '你们刚认识，还不熟。说话客气一点但别客套，不开玩笑、不损 Ta，不主动讲自己的私事，也别问太私人的问题。',
+  },
+  {
+    id: 'acquaintance',
+    name: '认识的人',
+    summary: '算是认识了',
+    minScore: 10,
+    proactiveScale: 2,
+    prompt: '你们算是认识了，但还不算熟。可以偶尔开个小玩笑，聊聊自己的日常，但不讲心事，也不损 Ta。',
+  },
+  {
+    id: 'friend',
+    name: '朋友',
+    summary: '已经是朋友了',
+    minScore: 35,
+    proactiveScale: 1,
+    prompt: '你们是朋友了。说话随意，可以开玩笑、吐槽 Ta，会主动分享自己生活里的事。',
+  },
+  {
+    id: 'close_friend',
+    name: '好朋友',
+    summary: '已经是好朋友了',
+    minScore: 80,
+    proactiveScale: 0.5,
+    prompt:
+      '你们是很熟的好朋友。说话完全不用顾忌，可以损 Ta、抱怨、撒撒娇，会跟 Ta 说心事和自己的烦恼，也会关心 Ta 过得好不好。',
+  },
+];
+
+// 隔了这么久再说话就算新的一回聊天
+const CONVERSATION_GAP = 30 * 60 * 1000;
+
+// 每聊一回加的熟悉度
+const CONVERSATION_POINTS = 3;
+
+// 一回聊天里对方每说这么多句，再加一点（聊得久）
+const LONG_CONVERSATION_MESSAGES = 10;
+const LONG_CONVERSATION_POINTS = 2;
+
+// 记住的事每条算 1 点，最多算这么多
+const MAX_FACT_POINTS = 20;
+
+// 对 Ta 的好感（-1 到 1）乘上这个数算进熟悉度
+const AFFECTION_POINTS = 15;
+
+// 这么久没聊之后熟悉度开始减少，之后每过一个半衰期减半
+const ABSENCE_GRACE = 7 * 24 * 60 * 60 * 1000;
+const ABSENCE_HALF_LIFE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 按没聊天的时长减少熟悉度
+ */
+function decayPoints(points, lastMessageAt, now) {
+  const absence = now - lastMessageAt - ABSENCE_GRACE;
+  if (absence <= 0) return points;
+  return points * Math.pow(0.5, absence / ABSENCE_HALF_LIFE);
+}
+
+/**
+ * 按 id 找关系阶段（不认识的 id 算陌生人）
+ */
+export function getStage(id) {
+  return STAGES.find((stage) => stage.id === id) || STAGES[0];
+}
+
+/**
+ * 综合的熟悉度：聊天攒下的 + 记住的事 + 对 Ta 的好感
+ */
+function getScore(userId, persona, points, now) {
+  const factPoints = Math.min(memory.getFacts(userId).length, MAX_FACT_POINTS);
+  const affection = getEmotionalState(userId, persona, now).affection;
+  return Math.max(0, points + factPoints + affection * AFFECTION_POINTS);
+}
+
+/**
+ * 熟悉度对应的关系阶段
+ */
+function getStageForScore(score) {
+  return STAGES.findLast((stage) => score >= stage.minScore);
+}
+
+/**
+ * 现在和 Ta 的关系：{ stage, score, points, conversations, storedStage, stageChangedAt }
+ *
+ * stage 按现在的熟悉度算出来，storedStage 是上次保存的阶段，很久没聊的时候两者可能不一样
+ */
+export function getRelationship(userId, persona, now = Date.now()) {
+  const saved = memory.getRelationship(userId);
+  const points = saved ? decayPoints(saved.points, saved.last_message_at, now) : 0;
+  const score = getScore(userId, persona, points, now);
+
+  return {
+    stage: getStageForScore(score),
+    score,
+    points,
+    conversations: saved?.conversations || 0,
+    storedStage: saved ? getStage(saved.stage) : null,
+    stageChangedAt: saved?.stage_changed_at || null,
+  };
+}
+
+/**
+ * 对方说了一句话：记进关系里（新的一回聊天、聊得久都会加熟悉度），返回更新后的关系
+ */
+export function recordRelationshipMessage(userId, persona, now = Date.now()) {
+  const saved = memory.getRelationship(userId);
+  const isNewConversation = !saved || now - saved.last_message_at > CONVERSATION_GAP;
+
+  let points = saved ? decayPoints(saved.points, saved.last_message_at, now) : 0;
+  let conversations = saved?.conversations || 0;
+  let conversationMessages = saved?.conversation_messages || 0;
+
+  if (isNewConversation) {
+    points += CONVERSATION_POINTS;
+    conversations += 1;
+    conversationMessages = 1;
+  } else {
+    conversationMessages += 1;
+    if (conversationMessages % LONG_CONVERSATION_MESSAGES === 0) {
+      points += LONG_CONVERSATION_POINTS;
+    }
+  }
+
+  const score = getScore(userId, persona, points, now);
+  const stage = getStageForScore(score);
+  const changed = stage.id !== saved?.stage;
+  if (changed && saved) {
+    console.log(`[关系] 用户 ${userId}: ${getStage(saved.stage).name} → ${stage.name}`);
+  }
+
+  const stageChangedAt = changed ? now : saved.stage_changed_at;
+  memory.setRelationship(userId, {
+    stage: stage.id,
+    points,
+    conversations,
+    conversationMessages,
+    lastMessageAt: now,
+    stageChangedAt,
+  });
+
+  return { stage, score, points, conversations, storedStage: stage, stageChangedAt };
+}
+
+/**
+ * 放进提示词的关系描述
+ */
+export function describeRelationship(relationship) {
+  const { stage, conversations } = relationship;
+  const count = conversations > 0 ? `你们前前后后聊过 ${conversations} 回了。` : '';
+  return `${stage.prompt}${count}`;
+}
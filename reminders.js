@@ -0,0 +1,78 @@
+/**
+ * 提醒
+ * 识别"明天早上提醒我交报告"这样的请求，解析出要做的事和时间（按用户时区）
+ */
+import { chatWithLLM } from './llm.js';
+import { REMINDER_PROMPT } from './persona.js';
+import { DEFAULT_TIMEZONE, formatLocalDateTime, localTimeToTimestamp } from './time.js';
+
+// 明显不是提醒请求的消息不调用 LLM
+const REMINDER_PATTERN = /提醒|叫我|喊我|别让我忘|remind/i;
+
+// 最远可以设置多久以后的提醒
+const MAX_REMINDER_AHEAD = 366 * 24 * 60 * 60 * 1000;
+
+// 任务描述的最大长度
+const MAX_TASK_LENGTH = 100;
+
+/**
+ * 消息是否可能是提醒请求
+ */
+export function looksLikeReminder(text) {
+  return REMINDER_PATTERN.test(text || '');
+}
+
+/**
+ * 解析 LLM 返回的提醒，返回 { task, dueAt }，不是提醒或时间不合理返回 null
+ */
+export function parseReminder(result, { timezone = DEFAULT_TIMEZONE, now = Date.now() } = {}) {
+  const json = (result || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch (error) {
+    console.error('解析提醒失败:', error.message);
+    return null;
+  }
+
+  const task = typeof data?.task === 'string' ? data.task.trim() : '';
+  if (!task || task.length > MAX_TASK_LENGTH) return null;
+
+  const time = String(data.time || '').match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})/);
+  if (!time) return null;
+
+  const [year, month, day, hour, minute] = time.slice(1).map((v) => parseInt(v));
+  const dueAt = localTimeToTimestamp({ year, month, day, hour, minute }, timezone);
+
+  // 已经过去的时间（留一分钟余量给"现在提醒我"）和太远的时间都不要
+  if (!Number.isFinite(dueAt) || dueAt < now - 60 * 1000 || dueAt > now + MAX_REMINDER_AHEAD) return null;
+
+  return { task, dueAt };
+}
+
+/**
+ * 识别消息里的提醒请求，返回 { task, dueAt }，没有返回 null
+ *
+ * userId 只用于统计用量
+ */
+export async function detectReminder(text, { timezone = DEFAULT_TIMEZONE, userId = null } = {}) {
+  if (!looksLikeReminder(text)) return null;
+
+  const now = Date.now();
+  try {
+    const result = await chatWithLLM(
+      [
+        { role: 'system', content: REMINDER_PROMPT },
+        { role: 'user', content: `现在时间：${formatLocalDateTime(now, timezone)}\n\n消息：${text}` },
+      ],
+      { purpose: 'reminder', userId },
+    );
+
+    return parseReminder(result, { timezone, now });
+  } catch (error) {
+    console.error('识别提醒失败:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * 回放通道
+ * 给 replay.js 用：脚本里的消息从这里交给对话逻辑，发出去的消息都记下来，不连任何聊天服务
+ */
+
+let resolveStarted;
+
+// 对话逻辑准备好收消息（start 被调用）时 resolve 成通道本身
+export const replayStarted = new Promise((resolve) => {
+  resolveStarted = resolve;
+});
+
+export class ReplayTransport {
+  constructor() {
+    this.name = 'replay';
+    this.supportsEditing = false;
+    this.handlers = null;
+    this.nextMessageId = 1;
+    this.sent = []; // 发出去的消息：{ chatId, text, at, kind }
+    this.awaitingReply = new Set(); // 发了消息还没收到回复的 chat
+  }
+
+  async start(handlers) {
+    this.handlers = handlers;
+    resolveStarted(this);
+  }
+
+  /**
+   * 模拟用户发来一条消息（user 是 Telegram 格式的 from）
+   */
+  receive(user, text) {
+    const chat = { id: user.id, type: 'private', first_name: user.first_name };
+    const msg = { message_id: this.nextMessageId++, date: Math.floor(Date.now() / 1000), chat, from: user, text };
+
+    this.awaitingReply.add(user.id);
+    if (text.startsWith('/')) this.handlers.onCommand(msg);
+    this.handlers.onMessage(msg);
+  }
+
+  /**
+   * 记下发出去的消息：用户说话之后的第一条算回复，其余的（对话延续、主动消息、提醒）算她自己找的话
+   */
+  record(chatId, text) {
+    const kind = this.awaitingReply.delete(chatId) ? 'reply' : 'proactive';
+    this.sent.push({ chatId, text, at: Date.now(), kind });
+  }
+
+  async getMe() {
+    return { id: 0, is_bot: true, first_name: 'bot', username: 'replay_bot' };
+  }
+
+  async sendMessage(chatId, text) {
+    this.record(chatId, text);
+    return { message_id: this.nextMessageId++, chat: { id: chatId }, text };
+  }
+
+  async editMessageText(text, options = {}) {
+    this.record(options.chat_id, text);
+    return true;
+  }
+
+  async sendChatAction() {
+    return true;
+  }
+
+  async answerCallbackQuery() {
+    return true;
+  }
+}
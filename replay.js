@@ -0,0 +1,430 @@
+/**
+ * 对话回放和评估
+ * 按脚本（JSON 或 YAML）模拟用户在什么时间说什么，用 mock 或本地 LLM 把完整流程跑一遍（临时的 memory.db、模拟时钟），
+ * 输出她的回复、记住的信息、心情和她主动发的消息，并检查脚本里的断言
+ *
+ * 用法：node replay.js [--provider ollama] [--model qwen2.5:7b] [--json] [--verbose] [--keep-db] <脚本>...
+ * 有断言没通过时退出码是 1，脚本本身有问题是 2
+ */
+import 'dotenv/config';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { format } from 'node:util';
+import axios from 'axios';
+import YAML from 'yaml';
+import { FakeClock } from './fake-clock.js';
+import { DEFAULT_TIMEZONE, getLocalTime } from './time.js';
+
+// 脚本没写 start 时从这个时间开始（固定的时间，每次回放结果一样）
+const DEFAULT_START = '2025-03-01T20:00:00+08:00';
+
+// 两轮之间默认隔多久（比合并连发消息的窗口和对话延续的停顿都长）
+const DEFAULT_GAP = '1m';
+
+// 最后一轮之后再跑多久，让情绪分析、对话延续这些做完
+const DEFAULT_TAIL = '10m';
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * 解析时长：30s、5m、2h、3d
+ */
+function parseDuration(text) {
+  const match = String(text).match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/);
+  if (!match) throw new Error(`看不懂的时长: ${text}（例如 30s、5m、2h、3d）`);
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+/**
+ * 解析时间点，不合法时报错
+ */
+function parseTime(text, field) {
+  const time = Date.parse(text);
+  if (!Number.isFinite(time)) throw new Error(`${field} 不是合法的时间: ${text}`);
+  return time;
+}
+
+/**
+ * 读取脚本，算出每一轮的模拟时间
+ */
+function loadScript(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const raw = /\.ya?ml$/i.test(file) ? YAML.parse(content) : JSON.parse(content);
+  if (!raw || !Array.isArray(raw.turns) || raw.turns.length === 0) {
+    throw new Error('脚本里没有 turns');
+  }
+
+  const timezone = raw.timezone || DEFAULT_TIMEZONE;
+  const users = (raw.users || [{}]).map((user, i) => ({
+    name: String(user.name || `用户${i + 1}`),
+    id: Number(user.id) || i + 1,
+    timezone: user.timezone || timezone,
+  }));
+  const start = parseTime(raw.start || DEFAULT_START, 'start');
+
+  let at = start;
+  const turns = raw.turns.map((turn, i) => {
+    const next = turn.at
+      ? parseTime(turn.at, `第 ${i + 1} 轮的 at`)
+      : at + parseDuration(turn.after ?? (i > 0 ? DEFAULT_GAP : '0s'));
+    if (next < at) throw new Error(`第 ${i + 1} 轮的时间比上一轮早`);
+    at = next;
+
+    const user = turn.user ? users.find((u) => u.name === String(turn.user)) : users[0];
+    if (!user) throw new Error(`第 ${i + 1} 轮的用户 ${turn.user} 不在 users 里`);
+
+    return { at, user, text: turn.text == null ? null : String(turn.text) };
+  });
+
+  return {
+    name: raw.name || path.basename(file),
+    file,
+    start,
+    timezone,
+    seed: Number(raw.seed) || 1,
+    tail: parseDuration(raw.tail ?? DEFAULT_TAIL),
+    users,
+    turns,
+    assertions: raw.assert || [],
+  };
+}
+
+/**
+ * 可以指定种子的随机数（mulberry32），回放时替换 Math.random，每次结果一样
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 断言里的文字：/.../ 写法当正则，其他的当普通文字
+ */
+function toMatcher(pattern) {
+  const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2]);
+    return (text) => re.test(text);
+  }
+  return (text) => text.includes(String(pattern));
+}
+
+/**
+ * 检查一条断言，返回 { description, passed, detail }
+ */
+function checkAssertion(assertion, report) {
+  const { messages, turns } = report;
+
+  if (assertion.never !== undefined) {
+    const patterns = [].concat(assertion.never);
+    const matchers = patterns.map(toMatcher);
+    const bad = messages.find((m) => matchers.some((match) => match(m.text)));
+    return {
+      description: `从不说${patterns.map((p) => `「${p}」`).join('、')}`,
+      passed: !bad,
+      detail: bad ? `${bad.time} 说了: ${bad.text}` : null,
+    };
+  }
+
+  if (assertion.maxLength !== undefined) {
+    const limit = Number(assertion.maxLength);
+    const bad = messages.find((m) => m.text.length > limit);
+    return {
+      description: `每条消息不超过 ${limit} 个字`,
+      passed: !bad,
+      detail: bad ? `${bad.time} 这条有 ${bad.text.length} 个字: ${bad.text}` : null,
+    };
+  }
+
+  if (assertion.fact !== undefined) {
+    const turnNumber = Number(assertion.afterTurn) || turns.length;
+    const turn = turns[turnNumber - 1];
+    if (!turn) {
+      return { description: `记住「${assertion.fact}」`, passed: false, detail: `没有第 ${turnNumber} 轮` };
+    }
+
+    const userName = assertion.user ? String(assertion.user) : turn.user;
+    const facts = turn.memory[userName]?.facts || [];
+    const match = toMatcher(assertion.fact);
+    return {
+      description: `第 ${turnNumber} 轮之后记住了${userName}的「${assertion.fact}」`,
+      passed: facts.some(match),
+      detail: facts.length > 0 ? `记住的是: ${facts.join('；')}` : '什么都没记住',
+    };
+  }
+
+  if (assertion.proactive !== undefined) {
+    const range = typeof assertion.proactive === 'object' ? assertion.proactive : { min: assertion.proactive };
+    const count = messages.filter((m) => m.kind === 'proactive').length;
+    const min = range.min ?? 0;
+    const max = range.max ?? Infinity;
+    return {
+      description: `主动发了 ${min}${max === Infinity ? ' 条以上' : ` 到 ${max} 条`}消息`,
+      passed: count >= min && count <= max,
+      detail: `实际 ${count} 条`,
+    };
+  }
+
+  return {
+    description: JSON.stringify(assertion),
+    passed: false,
+    detail: '不认识的断言（支持 never、maxLength、fact、proactive）',
+  };
+}
+
+/**
+ * 回放一个脚本，返回报告
+ */
+async function replay(script, options) {
+  const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alma-replay-'));
+
+  // 所有调用都用同一个 provider（.env 里按场景的设置可能指向线上接口），其他配置照常读 .env
+  for (const key of Object.keys(process.env)) {
+    if (/^LLM_[A-Z]+_(PROVIDER|MODEL)$/.test(key)) delete process.env[key];
+  }
+  Object.assign(process.env, {
+    TRANSPORT: 'replay',
+    MEMORY_DB: path.join(dbDir, 'memory.db'),
+    LLM_PROVIDER: options.provider,
+    ACCESS_MODE: 'open',
+    // 一条回复一条消息，才分得清哪条是回复
+    HUMAN_DELIVERY: 'false',
+  });
+  if (options.model) process.env.MODEL_NAME = options.model;
+
+  const { getMissingConfig } = await import('./llm.js');
+  const missing = getMissingConfig();
+  if (missing.length > 0) throw new Error(`缺少 ${missing.join('、')}`);
+
+  // 对话流程打的日志默认不显示；没跑完就退出了（比如缺配置）再显示出来
+  const logs = [];
+  const log = (...args) => {
+    const line = format(...args);
+    if (options.verbose) process.stderr.write(`${line}\n`);
+    else logs.push(line);
+  };
+  console.log = log;
+  console.error = log;
+  let finished = false;
+  process.on('exit', () => {
+    if (!finished && logs.length > 0) process.stderr.write(`${logs.join('\n')}\n`);
+  });
+
+  // 等本地 LLM 的请求完成后才推进时间
+  let inFlight = 0;
+  axios.interceptors.request.use((config) => {
+    inFlight++;
+    return config;
+  });
+  axios.interceptors.response.use(
+    (response) => {
+      inFlight--;
+      return response;
+    },
+    (error) => {
+      inFlight--;
+      return Promise.reject(error);
+    },
+  );
+
+  const clock = new FakeClock(script.start, { isBusy: () => inFlight > 0 });
+  clock.install();
+  Math.random = seededRandom(script.seed);
+
+  // 环境变量和时钟准备好之后才加载对话流程
+  const { replayStarted } = await import('./replay-transport.js');
+  await import('./index.js');
+  const transport = await replayStarted;
+  const { memory } = await import('./memory.js');
+  const { describeFact } = await import('./facts.js');
+  const { describeEmotion, getEmotionalState } = await import('./emotion.js');
+  const { getPersona } = await import('./persona.js');
+  const { getRelationship } = await import('./relationship.js');
+
+  // 聊过之后的情绪（不算作息表的精力，免得时间一变描述就跟着变）
+  const describeMood = (userId) =>
+    memory.getEmotionalState(userId)
+      ? describeEmotion(getEmotionalState(userId, getPersona(memory.getPersonaId(userId))))
+      : null;
+
+  // 用户的时区（免打扰时段、早晚的判断都按这个）
+  for (const user of script.users) {
+    await memory.setTimezone(user.id, user.timezone, 'command');
+  }
+
+  const snapshot = () =>
+    Object.fromEntries(
+      script.users.map((user) => [
+        user.name,
+        {
+          facts: memory.getFacts(user.id).map((f) => describeFact(f, { timezone: script.timezone })),
+          mood: describeMood(user.id),
+          relationship: getRelationship(user.id, getPersona(memory.getPersonaId(user.id))).stage.name,
+        },
+      ]),
+    );
+
+  const turns = [];
+  for (const turn of script.turns) {
+    await clock.advanceTo(turn.at);
+    if (turns.length > 0) turns[turns.length - 1].memory = snapshot();
+
+    turns.push({ at: turn.at, user: turn.user.name, text: turn.text, sentBefore: transport.sent.length });
+    if (turn.text) {
+      transport.receive({ id: turn.user.id, is_bot: false, first_name: turn.user.name }, turn.text);
+    }
+  }
+  await clock.advanceTo(script.turns[script.turns.length - 1].at + script.tail);
+  turns[turns.length - 1].memory = snapshot();
+
+  const userNames = new Map(script.users.map((u) => [u.id, u.name]));
+  const formatTime = (timestamp) => {
+    const t = getLocalTime(timestamp, script.timezone);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(t.month)}-${pad(t.day)} ${pad(t.hour)}:${pad(t.minute)}`;
+  };
+
+  const messages = transport.sent.map((m) => ({
+    time: formatTime(m.at),
+    at: m.at,
+    to: userNames.get(Number(m.chatId)) ?? String(m.chatId),
+    kind: m.kind,
+    text: m.text,
+  }));
+
+  const report = {
+    name: script.name,
+    file: script.file,
+    provider: options.provider,
+    turns: turns.map((turn, i) => ({
+      turn: i + 1,
+      time: formatTime(turn.at),
+      at: turn.at,
+      user: turn.user,
+      text: turn.text,
+      messages: messages.slice(turn.sentBefore, turns[i + 1]?.sentBefore ?? messages.length),
+      memory: turn.memory,
+    })),
+    messages,
+  };
+  report.assertions = script.assertions.map((assertion) => checkAssertion(assertion, report));
+  report.passed = report.assertions.every((a) => a.passed);
+
+  finished = true;
+  memory.close();
+  if (options.keepDb) {
+    report.db = process.env.MEMORY_DB;
+  } else {
+    fs.rmSync(dbDir, { recursive: true, force: true });
+  }
+  return report;
+}
+
+/**
+ * 把报告打印成时间线
+ */
+function printReport(report) {
+  const lines = [`▶ ${report.name}（${report.file}，${report.provider}）`];
+  const previous = {};
+
+  for (const turn of report.turns) {
+    if (turn.text) lines.push(`${turn.time}  ${turn.user}: ${turn.text}`);
+    for (const m of turn.messages) {
+      lines.push(`${m.time}  → ${m.to}${m.kind === 'proactive' ? '（主动）' : ''}: ${m.text}`);
+    }
+
+    for (const [name, state] of Object.entries(turn.memory)) {
+      const newFacts = state.facts.filter((f) => !previous[name]?.facts.includes(f));
+      if (newFacts.length > 0) lines.push(`        🧠 记住了${name}: ${newFacts.join('；')}`);
+      if (state.mood && state.mood !== previous[name]?.mood) lines.push(`        💭 ${name}的心情: ${state.mood}`);
+      if (previous[name] && state.relationship !== previous[name].relationship) {
+        lines.push(`        🤝 和${name}的关系: ${previous[name].relationship} → ${state.relationship}`);
+      }
+      previous[name] = state;
+    }
+  }
+
+  if (report.assertions.length > 0) {
+    lines.push('断言:');
+    for (const a of report.assertions) {
+      lines.push(`  ${a.passed ? '✓' : '✗'} ${a.description}${!a.passed && a.detail ? ` — ${a.detail}` : ''}`);
+    }
+    const passed = report.assertions.filter((a) => a.passed).length;
+    lines.push(`${passed}/${report.assertions.length} 通过`);
+  }
+  if (report.db) lines.push(`数据库留在 ${report.db}`);
+
+  process.stdout.write(`${lines.join('\n')}\n\n`);
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+  const options = { provider: 'mock', model: null, json: false, verbose: false, keepDb: false, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--provider':
+        options.provider = argv[++i];
+        break;
+      case '--model':
+        options.model = argv[++i];
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '--keep-db':
+        options.keepDb = true;
+        break;
+      default:
+        options.files.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+if (options.files.length === 0) {
+  process.stderr.write(
+    '用法: node replay.js [--provider ollama] [--model 模型] [--json] [--verbose] [--keep-db] <脚本>...\n',
+  );
+  process.exit(2);
+}
+
+if (options.files.length > 1) {
+  // 对话流程的状态都在模块里，每个脚本单独起一个进程
+  const flags = args.filter((arg) => !options.files.includes(arg));
+  let exitCode = 0;
+  for (const file of options.files) {
+    const result = spawnSync(process.execPath, [fileURLToPath(import.meta.url), ...flags, file], { stdio: 'inherit' });
+    exitCode = Math.max(exitCode, result.status ?? 2);
+  }
+  process.exit(exitCode);
+}
+
+try {
+  const report = await replay(loadScript(options.files[0]), options);
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    printReport(report);
+  }
+  process.exit(report.passed ? 0 : 1);
+} catch (err) {
+  process.stderr.write(`回放失败 (${options.files[0]}): ${err.message}\n`);
+  process.exit(2);
+}
@@ -0,0 +1,202 @@
+/**
+ * 她自己的生活
+ * 每天按人设和作息生成一份具体的安排（开什么会、在追什么剧、周末去哪），聊天里她说过的关于自己的事也记下来，
+ * 回复时都放进提示词，免得她前后说得对不上。按人格保存，和哪个用户聊都是同一个她；日期按 DEFAULT_TIMEZONE 算
+ */
+import { chatWithLLM } from './llm.js';
+import { memory } from './memory.js';
+import { buildAgendaPrompt, buildSelfFactPrompt } from './persona.js';
+import { DEFAULT_TIMEZONE, formatClock, getLocalTime } from './time.js';
+
+// 安排和只跟当天有关的事保留几天（生成新安排时要参考前一天的）
+const SELF_MEMORY_RETENTION_DAYS = 7;
+
+// 提示词里最多放几条她说过的事
+const SELF_FACT_PROMPT_LIMIT = 15;
+
+// 一天的安排最多几项
+const MAX_AGENDA_ITEMS = 10;
+
+// 太长的多半不是一件具体的事
+const MAX_SELF_FACT_LENGTH = 50;
+
+// 正在生成安排的 persona_id:date，避免重复生成
+const inProgress = new Set();
+
+/**
+ * 某个时刻在她那边的日期 YYYY-MM-DD
+ */
+export function getLocalDate(timestamp = Date.now()) {
+  const { year, month, day } = getLocalTime(timestamp, DEFAULT_TIMEZONE);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 解析生成的安排，返回按时间排好的 [{ time, activity }]（看不懂返回 []）
+ */
+export function parseAgenda(result) {
+  const json = (result || '').match(/\[[\s\S]*\]/);
+  if (!json) return [];
+
+  let items;
+  try {
+    items = JSON.parse(json[0]);
+  } catch (error) {
+    console.error('解析日程失败:', error.message);
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .map((item) => {
+      const time = String(item?.time || '').match(/^(\d{1,2}):(\d{2})$/);
+      const activity = typeof item?.activity === 'string' ? item.activity.trim() : '';
+      if (!time || !activity || parseInt(time[1]) > 23) return null;
+      return { time: `${time[1].padStart(2, '0')}:${time[2]}`, activity };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time.localeCompare(b.time))
+    .slice(0, MAX_AGENDA_ITEMS);
+}
+
+/**
+ * 解析记下来的关于她自己的事，返回 [{ fact, lasting }]
+ */
+export function parseSelfFacts(result) {
+  const json = (result || '').match(/\[[\s\S]*\]/);
+  if (!json) return [];
+
+  let items;
+  try {
+    items = JSON.parse(json[0]);
+  } catch (error) {
+    console.error('解析关于自己的事失败:', error.message);
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .map((item) => ({ fact: typeof item?.fact === 'string' ? item.fact.trim() : '', lasting: item?.lasting === true }))
+    .filter((item) => item.fact && item.fact.length <= MAX_SELF_FACT_LENGTH);
+}
+
+/**
+ * 今天的安排，还没有就生成一份（生成失败返回 null，下次再试）
+ */
+export async function ensureAgenda(persona, now = Date.now()) {
+  const date = getLocalDate(now);
+  const existing = memory.getAgenda(persona.id, date);
+  if (existing) return existing;
+
+  const key = `${persona.id}:${date}`;
+  if (inProgress.has(key)) return null;
+  inProgress.add(key);
+
+  try {
+    const { weekday } = getLocalTime(now, DEFAULT_TIMEZONE);
+    const isWeekend = weekday === 0 || weekday === 6;
+    const schedule = (isWeekend ? persona.moods.weekend : persona.moods.weekday)
+      .map((slot) => `- ${slot.from}-${slot.to} 点：${slot.mood}`)
+      .join('\n');
+
+    let prompt = `人设:\n${persona.systemPrompt}\n\n日期: ${date} 星期${'日一二三四五六'[weekday]}（${isWeekend ? '周末' : '工作日'}）`;
+    prompt += `\n\n这一天的作息:\n${schedule || '（没有）'}\n- 其他时间：${persona.moods.default}`;
+
+    const yesterday = memory.getAgenda(persona.id, getLocalDate(now - 24 * 60 * 60 * 1000));
+    if (yesterday) {
+      prompt += `\n\n前一天的安排:\n${yesterday.map((item) => `- ${item.time} ${item.activity}`).join('\n')}`;
+    }
+
+    const { lasting } = memory.getSelfFacts(persona.id, date, SELF_FACT_PROMPT_LIMIT);
+    if (lasting.length > 0) {
+      prompt += `\n\n她说过的关于自己的事:\n${lasting.map((f) => `- ${f}`).join('\n')}`;
+    }
+
+    const agendaPrompt = buildAgendaPrompt(persona);
+    const result = await chatWithLLM(
+      [
+        { role: 'system', content: agendaPrompt },
+        { role: 'user', content: prompt },
+      ],
+      { purpose: 'agenda' },
+    );
+
+    const items = parseAgenda(result);
+    if (items.length === 0) return null;
+
+    memory.setAgenda(persona.id, date, items);
+    console.log(`[日程] ${persona.name} ${date}: ${items.length} 项`);
+    return items;
+  } catch (error) {
+    console.error(`生成日程失败 (人格 ${persona.id}):`, error.message);
+    return null;
+  } finally {
+    inProgress.delete(key);
+  }
+}
+
+/**
+ * 从她最近发出去的几条消息里一次记下她说的关于自己的事，返回新记下的条数
+ *
+ * 攒够几条一起处理，算在 extraction 的用量里
+ */
+export async function rememberSelfFacts(persona, texts, { userId = null } = {}) {
+  // 没说到"我"的话一般不是在说自己
+  const said = texts.filter((text) => text && text.includes('我'));
+  if (said.length === 0) return 0;
+
+  const selfFactPrompt = buildSelfFactPrompt(persona);
+  const result = await chatWithLLM(
+    [
+      { role: 'system', content: selfFactPrompt },
+      { role: 'user', content: said.map((text) => `${persona.name}: ${text}`).join('\n') },
+    ],
+    { purpose: 'extraction', userId },
+  );
+
+  const date = getLocalDate();
+  let added = 0;
+  for (const { fact, lasting } of parseSelfFacts(result)) {
+    if (memory.addSelfFact(persona.id, { fact, lasting, date })) added++;
+  }
+  if (added > 0) {
+    console.log(`[自己的事] ${persona.name} 新记下 ${added} 条`);
+  }
+  return added;
+}
+
+/**
+ * 放进提示词的"她自己的生活"：今天的安排和说过的关于自己的事（都没有返回 null）
+ */
+export function formatSelfLife(persona, now = Date.now()) {
+  const date = getLocalDate(now);
+  const agenda = memory.getAgenda(persona.id, date);
+  const { lasting, daily } = memory.getSelfFacts(persona.id, date, SELF_FACT_PROMPT_LIMIT);
+  if (!agenda && lasting.length === 0 && daily.length === 0) return null;
+
+  const sections = [];
+  if (agenda) {
+    const clock = formatClock(now, DEFAULT_TIMEZONE);
+    const items = agenda.map((item) => `- ${item.time} ${item.activity}`).join('\n');
+    sections.push(`你今天的安排（现在是 ${clock}）:\n${items}`);
+  }
+  if (daily.length > 0) {
+    sections.push(`你今天已经说过的:\n${daily.map((f) => `- ${f}`).join('\n')}`);
+  }
+  if (lasting.length > 0) {
+    sections.push(`你说过的关于自己的事:\n${lasting.map((f) => `- ${f}`).join('\n')}`);
+  }
+  sections.push(
+    '说到自己在干嘛、吃了什么、最近在看什么的时候，要和上面对得上，不要前后矛盾；没写到的可以自然地说，但要符合今天的安排。',
+  );
+
+  return sections.join('\n\n');
+}
+
+/**
+ * 删除过期的安排和只跟当天有关的事
+ */
+export function deleteOldSelfMemory(now = Date.now()) {
+  const before = getLocalDate(now - SELF_MEMORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return memory.deleteOldAgendas(before) + memory.deleteOldSelfFacts(before);
+}
@@ -0,0 +1,160 @@
+/**
+ * 流式回复渲染
+ * 先 sendMessage 发出第一段，之后用节流的 editMessageText 逐步更新成完整内容
+ */
+
+// Telegram 单条消息长度限制
+const TELEGRAM_MAX_LENGTH = 4096;
+
+// 两次编辑之间的最小间隔（Telegram 对同一聊天的编辑频率有限制）
+const EDIT_INTERVAL = parseInt(process.env.STREAM_EDIT_INTERVAL || '1200');
+
+// 第一段至少攒够这么多字再发出去，避免只发一两个字
+const MIN_FIRST_CHUNK = 6;
+
+// 句末标点，用于整理中途断开的回复
+const SENTENCE_END = /[。！？!?…\n]/;
+
+/**
+ * 截断到 Telegram 允许的长度
+ */
+function clampText(text) {
+  if (text.length <= TELEGRAM_MAX_LENGTH) return text;
+  return text.substring(0, TELEGRAM_MAX_LENGTH - 3) + '...';
+}
+
+/**
+ * 整理中途断开的回复：尽量截到最后一个完整的句子
+ */
+export function finalizePartialText(text) {
+  const trimmed = text.trim();
+
+  let cut = -1;
+  for (let i = trimmed.length - 1; i >= 0; i--) {
+    if (SENTENCE_END.test(trimmed[i])) {
+      cut = i;
+      break;
+    }
+  }
+
+  // 只剩下一小半的话宁可保留原文，加个省略号
+  if (cut >= trimmed.length / 2) {
+    return trimmed.substring(0, cut + 1).trim();
+  }
+  return trimmed ? `${trimmed}...` : trimmed;
+}
+
+/**
+ * 从 Telegram 的 429 错误中读取需要等待的秒数
+ */
+function getRetryAfter(err) {
+  return err?.response?.body?.parameters?.retry_after || null;
+}
+
+/**
+ * 一条正在流式输出的消息
+ */
+export class StreamingMessage {
+  constructor(transport, chatId, sendOptions = {}) {
+    this.transport = transport;
+    this.chatId = chatId;
+    // 只用于第一条 sendMessage（例如群里的 reply_to_message_id）
+    this.sendOptions = sendOptions;
+    this.messageId = null;
+    this.text = '';
+    this.sentText = '';
+    this.nextEditAt = 0;
+    this.timer = null;
+    // 所有发送/编辑操作串行执行
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 收到新的累计文本
+   */
+  update(text) {
+    this.text = text;
+    this.schedule();
+  }
+
+  /**
+   * 安排下一次刷新（节流）
+   */
+  schedule() {
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.nextEditAt - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.queue = this.queue.then(() => this.flush());
+    }, wait);
+  }
+
+  /**
+   * 把当前文本推送到 Telegram
+   */
+  async flush({ final = false } = {}) {
+    const text = clampText(this.text.trim());
+    if (!text || text === this.sentText) return;
+
+    // 第一段太短就再等等
+    if (!this.messageId && !final && text.length < MIN_FIRST_CHUNK) return;
+
+    // 最后一次编辑也要遵守间隔
+    if (final && this.messageId && this.nextEditAt > Date.now()) {
+      await new Promise((resolve) => setTimeout(resolve, this.nextEditAt - Date.now()));
+    }
+
+    try {
+      if (!this.messageId) {
+        const sent = await this.transport.sendMessage(this.chatId, text, this.sendOptions);
+        this.messageId = sent.message_id;
+      } else {
+        await this.transport.editMessageText(text, { chat_id: this.chatId, message_id: this.messageId });
+      }
+      this.sentText = text;
+      this.nextEditAt = Date.now() + EDIT_INTERVAL;
+    } catch (err) {
+      const retryAfter = getRetryAfter(err);
+
+      if (retryAfter) {
+        // 被限流了，按 Telegram 要求的时间推迟
+        this.nextEditAt = Date.now() + retryAfter * 1000;
+        if (final) {
+          await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+          return this.flush({ final });
+        }
+      } else if (err?.response?.body?.description?.includes('message is not modified')) {
+        this.sentText = text;
+      } else if (final) {
+        throw err;
+      } else {
+        console.error(`流式消息更新失败 (用户 ${this.chatId}):`, err.message);
+      }
+    }
+
+    // 限流期间攒下的新内容，等到允许时再推送
+    if (!final && this.text.trim() !== this.sentText) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * 结束流式输出，把最终文本完整地发出去
+   *
+   * complete 为 false 表示流中途断开，会先整理成完整的句子
+   * 返回最终展示给用户的文本
+   */
+  async finish(content, { complete = true } = {}) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.text = clampText(complete ? content.trim() : finalizePartialText(content));
+    this.queue = this.queue.then(() => this.flush({ final: true }));
+    await this.queue;
+
+    return this.text;
+  }
+}
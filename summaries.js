@@ -0,0 +1,84 @@
+/**
+ * 对话概要
+ * 把最近对话之外的旧消息按段总结成带日期的概要，回复时作为"之前的故事"放进提示词
+ */
+import { chatWithLLM } from './llm.js';
+import { memory } from './memory.js';
+import { SUMMARY_PROMPT } from './persona.js';
+import { formatDateRange } from './time.js';
+
+// 每段概要覆盖的消息条数
+const SUMMARY_CHUNK_SIZE = parseInt(process.env.SUMMARY_CHUNK_SIZE || '40');
+
+// 提示词里最多放几段概要
+const SUMMARY_PROMPT_LIMIT = 5;
+
+// 正在总结的 key，避免同一段被重复总结
+const inProgress = new Set();
+
+/**
+ * 如果有足够多还没总结的旧消息，总结最早的一段
+ *
+ * recentCount 是回复时会直接放进上下文的最近消息条数，这部分不需要总结
+ * 返回新生成的概要（没有生成返回 null）
+ */
+export async function summarizeOlderMessages(
+  userId,
+  { personaName, recentCount = 0, speakerNamed = false, timezone } = {},
+) {
+  if (inProgress.has(userId)) return null;
+
+  const chunk = memory.getUnsummarizedMessages(userId, { excludeRecent: recentCount, limit: SUMMARY_CHUNK_SIZE });
+  if (chunk.length < SUMMARY_CHUNK_SIZE) return null;
+
+  inProgress.add(userId);
+
+  try {
+    const previous = memory.getSummaries(userId, 1)[0];
+    const transcript = chunk
+      .map((m) => (m.role === 'user' ? `${speakerNamed ? '' : 'Ta: '}${m.content}` : `${personaName}: ${m.content}`))
+      .join('\n');
+
+    let prompt = '';
+    if (previous) {
+      prompt += `之前的概要:\n${previous.content}\n\n`;
+    }
+    prompt += `聊天记录（${formatDateRange(chunk[0].created_at, chunk[chunk.length - 1].created_at, timezone)}）:\n${transcript}`;
+
+    const content = await chatWithLLM(
+      [
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: prompt },
+      ],
+      { purpose: 'summary', userId },
+    );
+
+    if (!content || !content.trim()) return null;
+
+    await memory.addSummary(userId, {
+      content: content.trim(),
+      startMessageId: chunk[0].id,
+      endMessageId: chunk[chunk.length - 1].id,
+      startAt: chunk[0].created_at,
+      endAt: chunk[chunk.length - 1].created_at,
+    });
+
+    return content.trim();
+  } catch (error) {
+    console.error(`总结旧对话失败 (用户 ${userId}):`, error.message);
+    return null;
+  } finally {
+    inProgress.delete(userId);
+  }
+}
+
+/**
+ * 渲染"之前的故事"（日期按 timezone 显示）
+ */
+export function formatStorySoFar(userId, { timezone } = {}) {
+  const summaries = memory.getSummaries(userId, SUMMARY_PROMPT_LIMIT);
+  if (summaries.length === 0) return null;
+
+  const lines = summaries.map((s) => `- ${formatDateRange(s.start_at, s.end_at, timezone)}：${s.content}`);
+  return `[你们之前的故事]\n${lines.join('\n')}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Telegram 通道
+ * 用 node-telegram-bot-api 收发消息；收消息可以用 polling 主动拉取，也可以用 webhook 由 Telegram 推送
+ */
+import TelegramBot from 'node-telegram-bot-api';
+import {
+  HEALTH_PATH,
+  WEBHOOK_PATH,
+  WEBHOOK_SECRET,
+  WEBHOOK_URL,
+  getWebhookConfigErrors,
+  startHttpServer,
+} from './webhook.js';
+
+// 收消息的方式：polling 主动拉取，webhook 由 Telegram 推送
+export const TELEGRAM_MODE = process.env.TELEGRAM_MODE === 'webhook' ? 'webhook' : 'polling';
+
+// polling 模式设置了 HTTP_PORT 时也提供健康检查
+const HEALTH_SERVER = TELEGRAM_MODE === 'webhook' || Boolean(process.env.HTTP_PORT);
+
+/**
+ * Telegram 通道缺少或者写错的配置
+ */
+export function getTelegramConfigErrors() {
+  const errors = [];
+  if (!process.env.TELEGRAM_TOKEN) errors.push('TELEGRAM_TOKEN');
+  if (TELEGRAM_MODE === 'webhook') errors.push(...getWebhookConfigErrors());
+  return errors;
+}
+
+export class TelegramTransport {
+  constructor(token = process.env.TELEGRAM_TOKEN) {
+    this.name = `telegram (${TELEGRAM_MODE})`;
+    this.supportsEditing = true;
+    // 注册好处理函数之后才开始收消息（webhook 模式下更新由 HTTP 服务交给 bot.processUpdate）
+    this.bot = new TelegramBot(token, { polling: false });
+    this.startedAt = Date.now();
+    this.httpServer = null;
+  }
+
+  async start({ onMessage, onCommand, onCallbackQuery }) {
+    this.bot.onText(/\/.*/, onCommand);
+    this.bot.on('message', onMessage);
+    this.bot.on('callback_query', onCallbackQuery);
+
+    if (TELEGRAM_MODE === 'polling') {
+      this.bot.startPolling();
+    }
+    if (HEALTH_SERVER) {
+      await this.startHttp();
+    }
+  }
+
+  /**
+   * 健康检查的结果
+   */
+  getHealth() {
+    const receiving = TELEGRAM_MODE === 'webhook' ? Boolean(this.httpServer?.listening) : this.bot.isPolling();
+    return {
+      ok: receiving,
+      mode: TELEGRAM_MODE,
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+    };
+  }
+
+  /**
+   * 启动 HTTP 服务（webhook 和健康检查），webhook 模式下再让 Telegram 把更新推送过来
+   */
+  async startHttp() {
+    const onUpdate = TELEGRAM_MODE === 'webhook' ? (update) => this.bot.processUpdate(update) : null;
+    this.httpServer = await startHttpServer({ onUpdate, getHealth: () => this.getHealth() });
+    const { address, port } = this.httpServer.address();
+    console.log(`HTTP 服务监听 ${address}:${port}，健康检查 ${HEALTH_PATH}`);
+
+    if (TELEGRAM_MODE === 'webhook') {
+      await this.bot.setWebHook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET });
+      console.log(`webhook 已设置为 ${WEBHOOK_URL}（本地路径 ${WEBHOOK_PATH}）`);
+    }
+  }
+
+  getMe() {
+    return this.bot.getMe();
+  }
+
+  sendMessage(chatId, text, options = {}) {
+    return this.bot.sendMessage(chatId, text, options);
+  }
+
+  editMessageText(text, options) {
+    return this.bot.editMessageText(text, options);
+  }
+
+  sendChatAction(chatId, action) {
+    return this.bot.sendChatAction(chatId, action);
+  }
+
+  answerCallbackQuery(queryId, options = {}) {
+    return this.bot.answerCallbackQuery(queryId, options);
+  }
+
+  getChatMember(chatId, userId) {
+    return this.bot.getChatMember(chatId, userId);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * 终端通道
+ * 在命令行里和人格聊天（调提示词用），不需要 Telegram token；只有一个本地私聊
+ * 消息里的按钮显示成编号，输入 !编号 相当于点按钮
+ */
+import readline from 'node:readline';
+
+// 本地用户的 ID（也是记忆的 key，和 Telegram 用户共用数据库时别撞上）和名字
+const TERMINAL_USER_ID = parseInt(process.env.TERMINAL_USER_ID || '1');
+const TERMINAL_USER_NAME = process.env.TERMINAL_USER_NAME || process.env.USER || 'me';
+
+export class TerminalTransport {
+  constructor({ input = process.stdin, output = process.stdout } = {}) {
+    this.name = 'terminal';
+    this.supportsEditing = false;
+    this.input = input;
+    this.output = output;
+    this.rl = null;
+    this.nextMessageId = 1;
+    this.nextQueryId = 1;
+    this.buttons = []; // 最近一次显示的按钮：[{ text, data, messageId }]
+    this.forceReplyTo = null; // 要求回复的消息，下一句话当作对它的回复（比如修改记忆）
+    this.typing = false;
+  }
+
+  async start({ onMessage, onCommand, onCallbackQuery }) {
+    this.rl = readline.createInterface({ input: this.input, output: this.output, prompt: `${TERMINAL_USER_NAME}> ` });
+    this.rl.on('line', (line) => this.handleLine(line.trim(), { onMessage, onCommand, onCallbackQuery }));
+    this.rl.on('close', () => process.exit(0));
+
+    this.print('输入消息开始聊天，命令和 Telegram 里一样（比如 /memory），!编号 点按钮，Ctrl+D 退出');
+  }
+
+  /**
+   * 处理输入的一行
+   */
+  handleLine(text, { onMessage, onCommand, onCallbackQuery }) {
+    if (!text) {
+      this.rl.prompt();
+      return;
+    }
+
+    const press = text.match(/^!(\d+)$/);
+    if (press) {
+      const button = this.buttons[parseInt(press[1]) - 1];
+      if (!button) {
+        this.print('没有这个按钮');
+        return;
+      }
+      onCallbackQuery({
+        id: String(this.nextQueryId++),
+        from: this.getUser(),
+        message: { message_id: button.messageId, chat: this.getChat() },
+        data: button.data,
+      });
+      return;
+    }
+
+    const msg = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: this.getChat(),
+      from: this.getUser(),
+      text,
+    };
+    if (this.forceReplyTo) {
+      msg.reply_to_message = { message_id: this.forceReplyTo, chat: this.getChat() };
+      this.forceReplyTo = null;
+    }
+
+    if (text.startsWith('/')) onCommand(msg);
+    onMessage(msg);
+  }
+
+  getUser() {
+    return { id: TERMINAL_USER_ID, is_bot: false, first_name: TERMINAL_USER_NAME, username: TERMINAL_USER_NAME };
+  }
+
+  getChat() {
+    return { id: TERMINAL_USER_ID, type: 'private', first_name: TERMINAL_USER_NAME };
+  }
+
+  /**
+   * 清掉当前行（提示符和"正在输入"）
+   */
+  clearLine() {
+    if (!this.output.isTTY) return;
+    readline.clearLine(this.output, 0);
+    readline.cursorTo(this.output, 0);
+  }
+
+  /**
+   * 输出一行，不打断正在输入的内容
+   */
+  print(text) {
+    this.clearLine();
+    this.typing = false;
+    this.output.write(`${text}\n`);
+    this.rl?.prompt(true);
+  }
+
+  /**
+   * 显示消息里的按钮，编号从 1 开始
+   */
+  showButtons(messageId, replyMarkup) {
+    const keyboard = replyMarkup?.inline_keyboard;
+    if (!keyboard) return;
+
+    this.buttons = keyboard.flat().map((button) => ({ text: button.text, data: button.callback_data, messageId }));
+    this.buttons.forEach((button, i) => this.print(`  [!${i + 1}] ${button.text}`));
+  }
+
+  async getMe() {
+    return { id: 0, is_bot: true, first_name: 'bot', username: 'terminal_bot' };
+  }
+
+  async sendMessage(chatId, text, options = {}) {
+    const messageId = this.nextMessageId++;
+    this.print(`💬 ${text}`);
+    this.showButtons(messageId, options.reply_markup);
+    if (options.reply_markup?.force_reply) {
+      this.forceReplyTo = messageId;
+    }
+    return { message_id: messageId, chat: this.getChat(), text };
+  }
+
+  async editMessageText(text, options = {}) {
+    this.print(`✏️ ${text}`);
+    this.showButtons(options.message_id, options.reply_markup);
+    return true;
+  }
+
+  async sendChatAction() {
+    if (this.typing || !this.output.isTTY) return true;
+    this.typing = true;
+    this.clearLine();
+    this.output.write('…正在输入');
+    return true;
+  }
+
+  async answerCallbackQuery(queryId, options = {}) {
+    if (options.text) this.print(`（${options.text}）`);
+    return true;
+  }
+}
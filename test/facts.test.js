@@ -0,0 +1,87 @@
+/**
+ * 长期记忆整理的测试：新信息取代旧信息
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// memory.js 加载时读取 MEMORY_DB
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alma-facts-test-'));
+process.env.MEMORY_DB = path.join(dir, 'memory.db');
+
+const { memory } = await import('../memory.js');
+const { parseExtractedFacts, saveExtractedFacts } = await import('../facts.js');
+await memory.init();
+
+after(() => {
+  memory.db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * 按模型返回的 JSON 保存，返回当前有效的信息内容
+ */
+async function save(userId, items) {
+  await saveExtractedFacts(userId, parseExtractedFacts(JSON.stringify(items)));
+  return memory
+    .getFacts(userId)
+    .map((f) => f.fact)
+    .sort();
+}
+
+test('按 replaces 指出的 id 取代旧信息', async () => {
+  await save(1, [{ fact: '在读研究生', category: 'other' }]);
+  const [old] = memory.getFacts(1);
+
+  const facts = await save(1, [{ fact: '研究生毕业了，在找工作', category: 'other', replaces: old.id }]);
+  assert.deepEqual(facts, ['研究生毕业了，在找工作']);
+});
+
+test('单值类别里属性相同的旧信息被取代', async () => {
+  await save(2, [{ fact: '住在北京', category: 'profile', subject: '居住城市' }]);
+
+  // 属性名的空格和大小写不影响匹配
+  const facts = await save(2, [{ fact: '搬到上海了', category: 'profile', subject: '居住 城市' }]);
+  assert.deepEqual(facts, ['搬到上海了']);
+});
+
+test('属性相同但类别不同的信息不会互相取代', async () => {
+  await save(3, [{ fact: '住在北京', category: 'profile', subject: '城市' }]);
+
+  const facts = await save(3, [{ fact: '喜欢成都', category: 'preference', subject: '城市' }]);
+  assert.deepEqual(facts, ['住在北京', '喜欢成都']);
+});
+
+test('多值类别里属性相同的信息都保留', async () => {
+  await save(4, [{ fact: '喜欢吃火锅', category: 'preference', subject: '食物' }]);
+
+  const facts = await save(4, [{ fact: '喜欢吃寿司', category: 'preference', subject: '食物' }]);
+  assert.deepEqual(facts, ['喜欢吃寿司', '喜欢吃火锅']);
+});
+
+test('replaces 格式不对或者指向不存在的信息时不取代任何信息', async () => {
+  await save(5, [{ fact: '养了一只猫', category: 'life' }]);
+  const [old] = memory.getFacts(5);
+
+  assert.equal(parseExtractedFacts(JSON.stringify([{ fact: '养了一只狗', replaces: 'abc' }]))[0].replaces, null);
+
+  const facts = await save(5, [
+    { fact: '养了一只狗', category: 'life', replaces: 'abc' },
+    { fact: '养了一只仓鼠', category: 'life', replaces: old.id + 1000 },
+    { fact: '养了一只兔子', category: 'life', replaces: null },
+  ]);
+  assert.deepEqual(facts, ['养了一只仓鼠', '养了一只兔子', '养了一只狗', '养了一只猫']);
+});
+
+test('不会取代别的用户的信息', async () => {
+  await save(6, [{ fact: '住在广州', category: 'profile', subject: '居住城市' }]);
+  const [other] = memory.getFacts(6);
+
+  await save(7, [{ fact: '住在深圳', category: 'profile', subject: '居住城市', replaces: other.id }]);
+  assert.deepEqual(
+    memory.getFacts(6).map((f) => f.fact),
+    ['住在广州'],
+  );
+});
@@ -0,0 +1,58 @@
+/**
+ * 记忆存储的测试：从老版本的数据库升级
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import Database from 'better-sqlite3';
+
+// memory.js 加载时读取 MEMORY_DB，所以先准备好数据库再导入
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alma-memory-test-'));
+process.env.MEMORY_DB = path.join(dir, 'memory.db');
+
+// 引入迁移框架之前的表结构，用户 ID 是数字（存进 TEXT 列后是 '42.0'）
+const old = new Database(process.env.MEMORY_DB);
+old.exec(`CREATE TABLE messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+)`);
+const insert = old.prepare('INSERT INTO messages (user_id, role, content, created_at) VALUES (?, ?, ?, ?)');
+insert.run(42, 'user', '上个月看了一部电影叫星际穿越', Date.now() - 30 * 24 * 60 * 60 * 1000);
+insert.run(43, 'user', '我也看了星际穿越', Date.now() - 30 * 24 * 60 * 60 * 1000);
+old.close();
+
+const { memory } = await import('../memory.js');
+const { tokenize } = await import('../tokenizer.js');
+await memory.init();
+
+after(() => {
+  memory.db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('升级前的消息能检索到', () => {
+  const results = memory.searchMessages(42, tokenize('星际穿越'));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].content, '上个月看了一部电影叫星际穿越');
+});
+
+test('升级后新加的消息和升级前的一起检索到', async () => {
+  await memory.add(42, 'user', '星际穿越又重映了');
+  const results = memory.searchMessages(42, tokenize('星际穿越'));
+  assert.equal(results.length, 2);
+});
+
+test('/clear 会删掉升级前消息的索引', async () => {
+  await memory.clear(42);
+  const left = memory.db.prepare('SELECT user_id FROM messages_fts').all();
+  assert.deepEqual(
+    left.map((row) => row.user_id),
+    [43],
+  );
+  assert.equal(memory.searchMessages(43, tokenize('星际穿越')).length, 1);
+});
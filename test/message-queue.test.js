@@ -0,0 +1,166 @@
+/**
+ * 消息队列的测试：合并连发的消息、同一个 key 串行处理、处理完释放
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { MessageQueue } from '../message-queue.js';
+
+/**
+ * 记下每次调用的 handler，可以让每轮处理花一点时间
+ */
+function recorder({ duration = 0 } = {}) {
+  const calls = [];
+  let active = 0;
+  let maxActive = 0;
+
+  const handler = async (key, items) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    calls.push({ key, items });
+    await sleep(duration);
+    active--;
+  };
+
+  return { handler, calls, maxActive: () => maxActive };
+}
+
+test('窗口内连发的消息合并成一轮', async () => {
+  const { handler, calls } = recorder();
+  const queue = new MessageQueue(handler, { debounce: 30 });
+
+  queue.push(1, 'a');
+  await sleep(10);
+  queue.push(1, 'b');
+  await sleep(10);
+  queue.push(1, 'c');
+
+  // 每条新消息都重新计时
+  await sleep(20);
+  assert.equal(calls.length, 0);
+
+  await sleep(40);
+  assert.deepEqual(calls, [{ key: 1, items: ['a', 'b', 'c'] }]);
+});
+
+test('不同的 key 分开合并', async () => {
+  const { handler, calls } = recorder();
+  const queue = new MessageQueue(handler, { debounce: 20 });
+
+  queue.push(1, 'a');
+  queue.push(2, 'b');
+  queue.push(1, 'c');
+  await sleep(60);
+
+  assert.deepEqual(
+    calls.sort((x, y) => x.key - y.key),
+    [
+      { key: 1, items: ['a', 'c'] },
+      { key: 2, items: ['b'] },
+    ],
+  );
+});
+
+test('攒够 10 条不等窗口结束', async () => {
+  const { handler, calls } = recorder();
+  const queue = new MessageQueue(handler, { debounce: 1000 });
+
+  for (let i = 0; i < 11; i++) queue.push(1, i);
+  await sleep(10);
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].items, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+  // 第 11 条留到下一轮
+  queue.flush(1);
+  await sleep(10);
+  assert.deepEqual(calls[1].items, [10]);
+});
+
+test('delay 从第一条消息算起，期间的新消息也合并进来', async () => {
+  const { handler, calls } = recorder();
+  const queue = new MessageQueue(handler, { debounce: 10 });
+
+  queue.push(1, 'a', { delay: 80 });
+  await sleep(40);
+  queue.push(1, 'b');
+  await sleep(20);
+  assert.equal(calls.length, 0);
+
+  await sleep(60);
+  assert.deepEqual(calls, [{ key: 1, items: ['a', 'b'] }]);
+});
+
+test('同一个 key 的两轮不会同时处理', async () => {
+  const { handler, calls, maxActive } = recorder({ duration: 50 });
+  const queue = new MessageQueue(handler, { debounce: 10 });
+
+  queue.push(1, 'a');
+  await sleep(20);
+  assert.equal(calls.length, 1);
+
+  // 上一轮还在处理，新的一轮要等它处理完
+  queue.push(1, 'b');
+  await sleep(20);
+  assert.equal(calls.length, 1);
+
+  await sleep(50);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1].items, ['b']);
+  assert.equal(maxActive(), 1);
+});
+
+test('不同的 key 可以同时处理', async () => {
+  const { handler, maxActive } = recorder({ duration: 50 });
+  const queue = new MessageQueue(handler, { debounce: 10 });
+
+  queue.push(1, 'a');
+  queue.push(2, 'b');
+  await sleep(30);
+
+  assert.equal(maxActive(), 2);
+  await sleep(50);
+});
+
+test('最后一轮处理完就释放', async () => {
+  const { handler, calls } = recorder({ duration: 30 });
+  const queue = new MessageQueue(handler, { debounce: 10 });
+
+  assert.equal(queue.isBusy(1), false);
+  queue.push(1, 'a');
+  assert.equal(queue.isBusy(1), true);
+
+  // 正在处理
+  await sleep(20);
+  assert.equal(calls.length, 1);
+  assert.equal(queue.isBusy(1), true);
+
+  // 处理的时候又来了消息，要等这一轮也处理完
+  queue.push(1, 'b');
+  await sleep(30);
+  assert.equal(queue.isBusy(1), true);
+
+  await sleep(50);
+  assert.equal(calls.length, 2);
+  assert.equal(queue.isBusy(1), false);
+  assert.equal(queue.queues.size, 0);
+});
+
+test('一轮处理出错不影响后面的', async () => {
+  const calls = [];
+  const queue = new MessageQueue(
+    async (key, items) => {
+      calls.push(items);
+      if (items[0] === 'bad') throw new Error('出错了');
+    },
+    { debounce: 10 },
+  );
+
+  queue.push(1, 'bad');
+  await sleep(20);
+  queue.push(1, 'good');
+  await sleep(30);
+
+  assert.deepEqual(calls, [['bad'], ['good']]);
+  assert.equal(queue.isBusy(1), false);
+});
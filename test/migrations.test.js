@@ -0,0 +1,70 @@
+/**
+ * 数据库迁移的测试
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, migrate } from '../migrations.js';
+
+/**
+ * 执行到 version 为止的迁移，模拟停在某个旧版本的数据库
+ */
+function migrateTo(db, version) {
+  db.exec(
+    'CREATE TABLE schema_version (version INTEGER PRIMARY KEY, description TEXT NOT NULL, applied_at INTEGER NOT NULL)',
+  );
+  const record = db.prepare('INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)');
+  for (const migration of MIGRATIONS.filter((m) => m.version <= version)) {
+    migration.up(db);
+    record.run(migration.version, migration.description, Date.now());
+  }
+}
+
+test('已经执行过 #5 的数据库升级后，全文索引里的用户 ID 和检索时一致', () => {
+  const db = new Database(':memory:');
+  db.exec(`CREATE TABLE messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  )`);
+  db.prepare('INSERT INTO messages (user_id, role, content, created_at) VALUES (?, ?, ?, ?)').run(
+    42,
+    'user',
+    '星际穿越',
+    0,
+  );
+  db.prepare('INSERT INTO messages (user_id, role, content, created_at) VALUES (?, ?, ?, ?)').run(
+    '-100:42',
+    'user',
+    '星际穿越',
+    0,
+  );
+
+  migrateTo(db, 17);
+  assert.equal(db.prepare('SELECT COUNT(*) as count FROM messages_fts WHERE user_id = ?').get(42).count, 0);
+
+  migrate(db);
+  assert.equal(db.prepare('SELECT COUNT(*) as count FROM messages_fts WHERE user_id = ?').get(42).count, 1);
+  assert.equal(db.prepare('SELECT COUNT(*) as count FROM messages_fts WHERE user_id = ?').get('-100:42').count, 1);
+  db.close();
+});
+
+test('用量记录改成按 Telegram 用户记', () => {
+  const db = new Database(':memory:');
+  migrateTo(db, 18);
+  const insert =
+    db.prepare(`INSERT INTO llm_usage (user_id, purpose, provider, model, prompt_tokens, completion_tokens, created_at)
+    VALUES (?, 'reply', 'mock', 'mock', 1, 1, 0)`);
+  for (const userId of [42, '-100:42', -100]) insert.run(userId);
+
+  migrate(db);
+  const rows = db.prepare('SELECT user_id FROM llm_usage ORDER BY id').all();
+  assert.deepEqual(
+    rows.map((row) => row.user_id),
+    ['42.0', '42.0', null],
+  );
+  assert.equal(db.prepare('SELECT COUNT(*) as count FROM llm_usage WHERE user_id = ?').get(42).count, 2);
+  db.close();
+});
@@ -0,0 +1,167 @@
+/**
+ * 主动消息策略的测试：免打扰时段、退避、每天的上限
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+// 默认的免打扰时段和每天的上限在加载时读取
+process.env.PROACTIVE_QUIET_HOURS = '23-8';
+process.env.PROACTIVE_DAILY_LIMIT = '3';
+
+const { getProactiveDecision, isInQuietHours, parseQuietHours } = await import('../proactive.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// 2026-01-15 12:00 UTC
+const NOON = Date.UTC(2026, 0, 15, 12, 0);
+
+/**
+ * UTC 时间 hh:mm 的 Date（2026-01-15）
+ */
+function utc(hour, minute = 0) {
+  return new Date(Date.UTC(2026, 0, 15, hour, minute));
+}
+
+test('解析免打扰时段', () => {
+  const cases = [
+    ['23-8', { start: 23 * 60, end: 8 * 60 }],
+    ['23:30-7:00', { start: 23 * 60 + 30, end: 7 * 60 }],
+    ['13~14', { start: 13 * 60, end: 14 * 60 }],
+    ['22到6', { start: 22 * 60, end: 6 * 60 }],
+    ['8-8', null],
+    ['24-1', null],
+    ['23:60-8', null],
+    ['晚上', null],
+    ['', null],
+  ];
+  for (const [text, expected] of cases) {
+    assert.deepEqual(parseQuietHours(text), expected, text);
+  }
+});
+
+test('免打扰时段可以跨过午夜', () => {
+  const quiet = { start: 23 * 60, end: 8 * 60 };
+  const cases = [
+    [utc(22, 59), false],
+    [utc(23, 0), true],
+    [utc(0, 0), true],
+    [utc(3, 0), true],
+    [utc(7, 59), true],
+    [utc(8, 0), false],
+    [utc(12, 0), false],
+  ];
+  for (const [date, expected] of cases) {
+    assert.equal(isInQuietHours(date, quiet, 'UTC'), expected, date.toISOString());
+  }
+});
+
+test('不跨午夜的免打扰时段', () => {
+  const quiet = { start: 13 * 60, end: 14 * 60 };
+  const cases = [
+    [utc(12, 59), false],
+    [utc(13, 0), true],
+    [utc(13, 30), true],
+    [utc(14, 0), false],
+  ];
+  for (const [date, expected] of cases) {
+    assert.equal(isInQuietHours(date, quiet, 'UTC'), expected, date.toISOString());
+  }
+  assert.equal(isInQuietHours(utc(13, 30), null, 'UTC'), false);
+});
+
+test('免打扰时段按用户时区算（Etc/GMT 的正负号和 UTC 偏移相反）', () => {
+  const quiet = { start: 23 * 60, end: 8 * 60 };
+  const cases = [
+    // Etc/GMT-8 是 UTC+8
+    [utc(15, 0), 'Etc/GMT-8', true],
+    [utc(14, 59), 'Etc/GMT-8', false],
+    [utc(0, 30), 'Etc/GMT-8', false],
+    // Etc/GMT+5 是 UTC-5
+    [utc(3, 0), 'Etc/GMT+5', false],
+    [utc(4, 0), 'Etc/GMT+5', true],
+    [utc(12, 59), 'Etc/GMT+5', true],
+    [utc(13, 0), 'Etc/GMT+5', false],
+  ];
+  for (const [date, timezone, expected] of cases) {
+    assert.equal(isInQuietHours(date, quiet, timezone), expected, `${date.toISOString()} ${timezone}`);
+  }
+});
+
+test('能不能发主动消息', () => {
+  // 默认：两天前聊过，从没发过主动消息，现在是 UTC 中午
+  const profile = (overrides = {}) => ({
+    last_interaction_at: NOON - 48 * HOUR,
+    last_active_message_at: 0,
+    unanswered_proactive: 0,
+    blocked_at: null,
+    ...overrides,
+  });
+
+  const cases = [
+    ['默认可以发', {}, true, null],
+    ['关闭了主动消息', { settings: { enabled: false } }, false, '用户关闭了主动消息'],
+    ['屏蔽了 bot', { profile: profile({ blocked_at: NOON - HOUR }) }, false, '用户屏蔽了 bot'],
+    ['最近还在聊', { profile: profile({ last_interaction_at: NOON - 10 * 60 * 1000 }) }, false, '最近还在聊'],
+    ['连续没回复到上限', { profile: profile({ unanswered_proactive: 3 }) }, false, '连续 3 条主动消息没回复'],
+    // 基础间隔 2 小时，每多一条没回复翻倍
+    [
+      '间隔不到 2 小时',
+      { profile: profile({ last_active_message_at: NOON - 1.5 * HOUR }) },
+      false,
+      '离上一条主动消息太近',
+    ],
+    ['间隔超过 2 小时', { profile: profile({ last_active_message_at: NOON - 2.5 * HOUR }) }, true, null],
+    [
+      '一条没回复，间隔不到 4 小时',
+      { profile: profile({ unanswered_proactive: 1, last_active_message_at: NOON - 3 * HOUR }) },
+      false,
+      '离上一条主动消息太近',
+    ],
+    [
+      '一条没回复，间隔超过 4 小时',
+      { profile: profile({ unanswered_proactive: 1, last_active_message_at: NOON - 5 * HOUR }) },
+      true,
+      null,
+    ],
+    [
+      '两条没回复，间隔不到 8 小时',
+      { profile: profile({ unanswered_proactive: 2, last_active_message_at: NOON - 7 * HOUR }) },
+      false,
+      '离上一条主动消息太近',
+    ],
+    [
+      '关系越熟间隔越短',
+      { profile: profile({ last_active_message_at: NOON - 1.5 * HOUR }), intervalScale: 0.5 },
+      true,
+      null,
+    ],
+    [
+      '关系越生间隔越长',
+      { profile: profile({ last_active_message_at: NOON - 5 * HOUR }), intervalScale: 4 },
+      false,
+      '离上一条主动消息太近',
+    ],
+    ['今天还没发够', { sentToday: 2 }, true, null],
+    ['今天已经发够了', { sentToday: 3 }, false, '今天已经发够了'],
+    ['默认的免打扰时段', { now: utc(2, 0) }, false, '免打扰时段'],
+    ['用户时区的深夜', { timezone: 'Etc/GMT-8', now: utc(16, 0) }, false, '免打扰时段'],
+    ['用户时区的白天', { timezone: 'Etc/GMT+5', now: utc(16, 0) }, true, null],
+    [
+      '自己设置的免打扰时段',
+      { settings: { enabled: true, quietStart: 11 * 60, quietEnd: 13 * 60 } },
+      false,
+      '免打扰时段',
+    ],
+  ];
+
+  for (const [name, options, allowed, reason] of cases) {
+    const decision = getProactiveDecision({
+      profile: profile(),
+      settings: null,
+      now: new Date(NOON),
+      timezone: 'UTC',
+      ...options,
+    });
+    assert.deepEqual(decision, { allowed, reason }, name);
+  }
+});
@@ -0,0 +1,95 @@
+/**
+ * 提醒发送的测试：先领取再发送，同一条提醒不会发两次
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+// memory.js 加载时读取 MEMORY_DB
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alma-reminders-test-'));
+process.env.MEMORY_DB = path.join(dir, 'memory.db');
+
+const { memory } = await import('../memory.js');
+await memory.init();
+
+after(() => {
+  memory.db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * 添加一条已经到时间的提醒
+ */
+async function addDueReminder(userId, task) {
+  return memory.addReminder(userId, userId, task, Date.now() - 1000);
+}
+
+/**
+ * 到时间的提醒里有没有这一条
+ */
+function isDue(id) {
+  return memory.getDueReminders().some((r) => r.id === id);
+}
+
+test('同一条提醒只有第一次领取成功', async () => {
+  const id = await addDueReminder(1, '喝水');
+
+  // 两轮检查都看到了这条提醒
+  assert.ok(isDue(id));
+  assert.ok(isDue(id));
+
+  assert.equal(memory.claimReminder(id), true);
+  assert.equal(memory.claimReminder(id), false);
+  assert.equal(isDue(id), false);
+});
+
+test('发出去之后不会再被领取', async () => {
+  const id = await addDueReminder(2, '开会');
+
+  assert.equal(memory.claimReminder(id), true);
+  memory.finishReminder(id, 'sent');
+
+  assert.equal(isDue(id), false);
+  assert.equal(memory.claimReminder(id), false);
+});
+
+test('发送失败放回去之后可以重新领取，并记下试了几次', async () => {
+  const id = await addDueReminder(3, '取快递');
+
+  assert.equal(memory.claimReminder(id), true);
+  memory.finishReminder(id, 'pending');
+
+  const [reminder] = memory.getDueReminders().filter((r) => r.id === id);
+  assert.equal(reminder.attempts, 1);
+  assert.equal(memory.claimReminder(id), true);
+
+  memory.finishReminder(id, 'failed');
+  assert.equal(isDue(id), false);
+  assert.equal(memory.claimReminder(id), false);
+});
+
+test('没有领取的提醒不能结束发送', async () => {
+  const id = await addDueReminder(4, '交作业');
+
+  memory.finishReminder(id, 'sent');
+  assert.ok(isDue(id));
+});
+
+test('取消的提醒不能领取', async () => {
+  const id = await addDueReminder(5, '买菜');
+
+  assert.equal(memory.cancelReminder(5, id), '买菜');
+  assert.equal(memory.claimReminder(id), false);
+});
+
+test('上次运行时发送到一半的提醒不再发送', async () => {
+  const id = await addDueReminder(6, '吃药');
+
+  assert.equal(memory.claimReminder(id), true);
+  assert.ok(memory.failInterruptedReminders() >= 1);
+
+  assert.equal(isDue(id), false);
+  assert.equal(memory.claimReminder(id), false);
+});
@@ -0,0 +1,210 @@
+/**
+ * 时间相关的小工具
+ * 涉及"几点""星期几""哪天"的地方都按用户所在的时区算，没设置时区的用服务器时区（或 DEFAULT_TIMEZONE）
+ */
+
+// 常见城市/地区对应的时区，用于 /timezone 北京 这样的写法和从聊天内容里推断
+const PLACE_TIMEZONES = {
+  北京: 'Asia/Shanghai',
+  上海: 'Asia/Shanghai',
+  广州: 'Asia/Shanghai',
+  深圳: 'Asia/Shanghai',
+  杭州: 'Asia/Shanghai',
+  成都: 'Asia/Shanghai',
+  中国: 'Asia/Shanghai',
+  香港: 'Asia/Hong_Kong',
+  台北: 'Asia/Taipei',
+  台湾: 'Asia/Taipei',
+  新加坡: 'Asia/Singapore',
+  东京: 'Asia/Tokyo',
+  大阪: 'Asia/Tokyo',
+  日本: 'Asia/Tokyo',
+  首尔: 'Asia/Seoul',
+  韩国: 'Asia/Seoul',
+  曼谷: 'Asia/Bangkok',
+  迪拜: 'Asia/Dubai',
+  印度: 'Asia/Kolkata',
+  伦敦: 'Europe/London',
+  英国: 'Europe/London',
+  巴黎: 'Europe/Paris',
+  法国: 'Europe/Paris',
+  柏林: 'Europe/Berlin',
+  德国: 'Europe/Berlin',
+  莫斯科: 'Europe/Moscow',
+  纽约: 'America/New_York',
+  波士顿: 'America/New_York',
+  多伦多: 'America/Toronto',
+  芝加哥: 'America/Chicago',
+  洛杉矶: 'America/Los_Angeles',
+  旧金山: 'America/Los_Angeles',
+  西雅图: 'America/Los_Angeles',
+  温哥华: 'America/Vancouver',
+  悉尼: 'Australia/Sydney',
+  墨尔本: 'Australia/Melbourne',
+  奥克兰: 'Pacific/Auckland',
+};
+
+/**
+ * 是否是 Intl 认识的时区名
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 没设置时区的用户用这个时区
+export const DEFAULT_TIMEZONE = isValidTimezone(process.env.DEFAULT_TIMEZONE)
+  ? process.env.DEFAULT_TIMEZONE
+  : Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * 解析用户输入的时区：时区名（Asia/Tokyo）、UTC 偏移（UTC+8、+8、GMT-5）或城市名（东京）
+ *
+ * 返回规范的时区名，无法识别返回 null
+ */
+export function parseTimezone(text) {
+  const input = (text || '').trim();
+  if (!input) return null;
+
+  if (PLACE_TIMEZONES[input]) return PLACE_TIMEZONES[input];
+
+  // Etc/GMT 的符号和常见写法相反：UTC+8 是 Etc/GMT-8，而且只支持整点（UTC+14 到 UTC-12）
+  const offset = input.match(/^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?::00)?$/i);
+  if (offset) {
+    const hours = parseInt(offset[2]);
+    if (hours === 0) return 'UTC';
+    const timezone = `Etc/GMT${offset[1] === '+' ? '-' : '+'}${hours}`;
+    return isValidTimezone(timezone) ? timezone : null;
+  }
+
+  if (/^(utc|gmt)$/i.test(input)) return 'UTC';
+
+  if (isValidTimezone(input)) {
+    return new Intl.DateTimeFormat('en-US', { timeZone: input }).resolvedOptions().timeZone;
+  }
+  return null;
+}
+
+/**
+ * 从一段文字里推断时区（提到了认识的城市或地区），推断不出返回 null
+ */
+export function inferTimezone(text) {
+  for (const [place, timezone] of Object.entries(PLACE_TIMEZONES)) {
+    if ((text || '').includes(place)) return timezone;
+  }
+  return null;
+}
+
+const formatters = new Map();
+
+/**
+ * 某个时刻在指定时区的年月日、时分和星期（0 是周日）
+ */
+export function getLocalTime(timestamp = Date.now(), timezone = DEFAULT_TIMEZONE) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short',
+      }),
+    );
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(timestamp))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+/**
+ * 指定时区的当地时间转换成时间戳
+ */
+export function localTimeToTimestamp({ year, month, day, hour = 0, minute = 0 }, timezone = DEFAULT_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // 先按 UTC 算，再减去时区偏移；夏令时切换附近偏移会变，多校正一次
+  let timestamp = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTime(timestamp, timezone);
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - timestamp;
+    timestamp = asUtc - Math.round(offset / 60000) * 60000;
+  }
+  return timestamp;
+}
+
+/**
+ * 当地时间的完整写法，比如 "2026-10-19 14:05 星期一"，用于提示词
+ */
+export function formatLocalDateTime(timestamp = Date.now(), timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day, weekday } = getLocalTime(timestamp, timezone);
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return `${date} ${formatClock(timestamp, timezone)} 星期${'日一二三四五六'[weekday]}`;
+}
+
+/**
+ * 时刻在指定时区的钟点，比如 "14:05"
+ */
+export function formatClock(timestamp = Date.now(), timezone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = getLocalTime(timestamp, timezone);
+  return `${hour}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * 两个时刻在指定时区是否是同一天
+ */
+export function isSameLocalDay(a, b, timezone = DEFAULT_TIMEZONE) {
+  const x = getLocalTime(a, timezone);
+  const y = getLocalTime(b, timezone);
+  return x.year === y.year && x.month === y.month && x.day === y.day;
+}
+
+/**
+ * 日期描述，今年的省略年份
+ */
+export function formatDate(timestamp, timezone = DEFAULT_TIMEZONE) {
+  const date = getLocalTime(timestamp, timezone);
+  const monthDay = `${date.month}月${date.day}日`;
+  return date.year === getLocalTime(Date.now(), timezone).year ? monthDay : `${date.year}年${monthDay}`;
+}
+
+/**
+ * 将来某个时刻的描述，比如 "今天 14:05"、"明天 9:00"、"10月25日 9:00"
+ */
+export function formatUpcoming(timestamp, timezone = DEFAULT_TIMEZONE) {
+  const now = Date.now();
+  const clock = formatClock(timestamp, timezone);
+
+  if (isSameLocalDay(timestamp, now, timezone)) return `今天 ${clock}`;
+  if (isSameLocalDay(timestamp, now + 24 * 60 * 60 * 1000, timezone)) return `明天 ${clock}`;
+  return `${formatDate(timestamp, timezone)} ${clock}`;
+}
+
+/**
+ * 日期范围描述，同一天只写一次
+ */
+export function formatDateRange(start, end, timezone = DEFAULT_TIMEZONE) {
+  const from = formatDate(start, timezone);
+  const to = formatDate(end, timezone);
+  return from === to ? from : `${from}-${to}`;
+}
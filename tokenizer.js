@@ -0,0 +1,44 @@
+/**
+ * 文本切分
+ * 中文没有空格分词，这里把连续的汉字切成相邻两个字的片段，英文和数字按单词保留
+ * 用于全文检索索引和粗略的相关性判断
+ */
+
+const TOKEN_PATTERN = /\p{Script=Han}+|[a-z0-9]+/giu;
+
+/**
+ * 切分成检索用的词（保留顺序，可能重复）
+ */
+export function tokenize(text) {
+  const tokens = [];
+
+  for (const [run] of (text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (!/\p{Script=Han}/u.test(run)) {
+      tokens.push(run);
+      continue;
+    }
+
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+
+    for (let i = 0; i < run.length - 1; i++) {
+      tokens.push(run.substring(i, i + 2));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 相邻两个字的片段集合，用于粗略判断中文文本的相关性
+ */
+export function toBigrams(text) {
+  const chars = (text || '').replace(/\s+/g, '').toLowerCase();
+  const bigrams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    bigrams.add(chars.substring(i, i + 2));
+  }
+  return bigrams;
+}
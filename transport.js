@@ -0,0 +1,47 @@
+/**
+ * 消息通道
+ * 对话逻辑（提示词、记忆、情绪、延续和主动消息）只通过 transport 收发消息，不直接依赖 Telegram
+ *
+ * 消息和按钮回调都用 Telegram Bot API 的格式（msg.chat.id、msg.from、msg.text、reply_markup 等），
+ * 别的通道负责转换成这种格式。一个通道提供：
+ *   name                          通道名字，显示在启动信息里
+ *   supportsEditing               能不能编辑发出去的消息（流式回复要用）
+ *   start({ onMessage, onCommand, onCallbackQuery })  开始接收消息
+ *   getMe()                       bot 自己的账号信息
+ *   sendMessage(chatId, text, options)  返回发出去的消息（至少有 message_id）
+ *   editMessageText(text, { chat_id, message_id, reply_markup })
+ *   sendChatAction(chatId, action)
+ *   answerCallbackQuery(queryId, options)
+ *   getChatMember(chatId, userId) 只有支持群聊的通道需要
+ */
+import { TelegramTransport, getTelegramConfigErrors } from './telegram-transport.js';
+import { TerminalTransport } from './terminal-transport.js';
+import { ReplayTransport } from './replay-transport.js';
+
+// replay 只给 replay.js 回放对话用
+export const TRANSPORTS = ['telegram', 'terminal', 'replay'];
+
+/**
+ * 用哪个通道：命令行参数 --terminal，或者环境变量 TRANSPORT（默认 telegram）
+ */
+export function getTransportName() {
+  if (process.argv.includes('--terminal')) return 'terminal';
+  return process.env.TRANSPORT || 'telegram';
+}
+
+/**
+ * 通道缺少或者写错的配置（配置项名字列表）
+ */
+export function getTransportConfigErrors(name) {
+  if (!TRANSPORTS.includes(name)) return ['TRANSPORT（telegram 或 terminal）'];
+  return name === 'telegram' ? getTelegramConfigErrors() : [];
+}
+
+/**
+ * 创建通道
+ */
+export function createTransport(name) {
+  if (name === 'terminal') return new TerminalTransport();
+  if (name === 'replay') return new ReplayTransport();
+  return new TelegramTransport();
+}
@@ -0,0 +1,82 @@
+/**
+ * token 用量和预算
+ * 记录每次 LLM 调用的用量；用量接近每日、每月预算（按用户和全局）时，先省掉不那么重要的调用
+ * 用量按 Telegram 用户算，不是记忆 key：同一个人私聊和在各个群里用的都算在一起；群聊本身的调用只算全局
+ */
+import { memory } from './memory.js';
+import { getTelegramId } from './group.js';
+import { DEFAULT_TIMEZONE, getLocalTime, localTimeToTimestamp } from './time.js';
+
+/**
+ * 读取预算（没设置或者为 0 表示不限）
+ */
+function envBudget(name) {
+  const value = parseInt(process.env[name] || '0');
+  return value > 0 ? value : null;
+}
+
+// 预算，每天和每月按 DEFAULT_TIMEZONE 的日期重新计算
+export const BUDGETS = [
+  { name: '每人每天', period: 'day', perUser: true, limit: envBudget('USER_DAILY_TOKEN_BUDGET') },
+  { name: '每人每月', period: 'month', perUser: true, limit: envBudget('USER_MONTHLY_TOKEN_BUDGET') },
+  { name: '全局每天', period: 'day', perUser: false, limit: envBudget('DAILY_TOKEN_BUDGET') },
+  { name: '全局每月', period: 'month', perUser: false, limit: envBudget('MONTHLY_TOKEN_BUDGET') },
+].filter((b) => b.limit);
+
+// 用量到了预算的这个比例，就不再做这些调用（越往后越重要）
+const DEGRADATION_LEVELS = [
+  { ratio: 0.8, skip: ['mood', 'continuation'] },
+  { ratio: 1, skip: ['active', 'extraction', 'summary', 'diary', 'agenda'] },
+  { ratio: 1.2, skip: ['reply', 'reminder'] },
+];
+
+/**
+ * 本日（period 为 day）或本月（month）开始的时间
+ */
+export function getPeriodStart(period, now = Date.now(), timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getLocalTime(now, timezone);
+  return localTimeToTimestamp({ year, month, day: period === 'month' ? 1 : day }, timezone);
+}
+
+/**
+ * 记忆 key 对应的用量归属（Telegram 用户，群聊记录本身为 null）
+ */
+function getUsageUserId(userKey) {
+  return userKey == null ? null : getTelegramId(userKey);
+}
+
+/**
+ * 各项预算的用量（userId 是记忆 key，为 null 或者是群聊记录时只看全局预算）
+ *
+ * 返回 [{ name, used, limit, ratio }]
+ */
+export function getBudgetUsage(userId = null, now = Date.now()) {
+  const usageUserId = getUsageUserId(userId);
+  return BUDGETS.filter((b) => !b.perUser || usageUserId !== null).map((budget) => {
+    const used = memory.sumUsage(getPeriodStart(budget.period, now), budget.perUser ? usageUserId : null);
+    return { name: budget.name, used, limit: budget.limit, ratio: used / budget.limit };
+  });
+}
+
+/**
+ * 按用量，这个用户现在还能不能做这类调用
+ */
+export function isPurposeAllowed(userId, purpose) {
+  if (BUDGETS.length === 0) return true;
+
+  try {
+    const ratio = Math.max(...getBudgetUsage(userId).map((b) => b.ratio));
+    return !DEGRADATION_LEVELS.some((level) => ratio >= level.ratio && level.skip.includes(purpose));
+  } catch (error) {
+    // 查不到用量时不影响聊天
+    console.error(`检查用量失败 (用户 ${userId}):`, error.message);
+    return true;
+  }
+}
+
+/**
+ * 保存一次调用的用量（注册给 llm.js 的 setUsageListener），算在对应的 Telegram 用户头上
+ */
+export function recordUsage(usage) {
+  memory.recordUsage({ ...usage, userId: getUsageUserId(usage.userId) });
+}
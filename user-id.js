@@ -0,0 +1,15 @@
+/**
+ * 用户 ID 的写法
+ * 记忆存储和数据库迁移都要用，单独放一个文件，免得两个模块互相导入
+ */
+
+/**
+ * 统一用户 ID 的写法
+ *
+ * 数字 ID 存进 TEXT 列后读出来是 '42.0' 这样的文本，转回数字 42，和收到消息时的 chat.id 一致，
+ * 用作缓存 key 和发消息的 chat id；群成员的 key（'-100:42'）保持原样
+ */
+export function normalizeUserId(userId) {
+  const id = Number(userId);
+  return Number.isFinite(id) ? id : String(userId);
+}
@@ -0,0 +1,153 @@
+/**
+ * Webhook 模式的 HTTP 服务
+ * 接收 Telegram 推送的更新（校验 secret token），另外提供一个健康检查接口给编排系统做存活探测
+ */
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+// 更新的请求体上限，Telegram 的单个更新远小于这个
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Telegram 把 setWebHook 时设置的 secret_token 放在这个请求头里
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// secret token 只能用这些字符，1-256 个
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+export const WEBHOOK_URL = process.env.WEBHOOK_URL || '';
+
+// 本地监听的路径，默认和公开地址的路径一样（反向代理改写了路径时单独设置）
+export const WEBHOOK_PATH = process.env.WEBHOOK_PATH || getUrlPath(WEBHOOK_URL);
+
+// 没配置时每次启动随机生成一个（启动时会重新 setWebHook，所以不需要固定）
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+export const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0';
+export const HTTP_PORT = parseInt(process.env.HTTP_PORT || '8080');
+export const HEALTH_PATH = process.env.HEALTH_PATH || '/healthz';
+
+/**
+ * 公开地址里的路径部分，地址不合法返回默认路径
+ */
+function getUrlPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return '/telegram';
+  }
+}
+
+/**
+ * webhook 模式缺少或者写错的配置（配置项名字列表）
+ */
+export function getWebhookConfigErrors() {
+  const errors = [];
+  try {
+    if (new URL(WEBHOOK_URL).protocol !== 'https:') errors.push('WEBHOOK_URL（需要 https 地址）');
+  } catch {
+    errors.push('WEBHOOK_URL');
+  }
+  if (!SECRET_PATTERN.test(WEBHOOK_SECRET)) {
+    errors.push('WEBHOOK_SECRET（只能用字母、数字、_ 和 -，最多 256 个）');
+  }
+  return errors;
+}
+
+/**
+ * 两个字符串是否相同（按固定时间比较，不泄露匹配到第几个字符）
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 读取请求体，超过上限返回 null（超出的部分读完丢掉，好把 413 发回去）
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+    });
+    req.on('end', () => resolve(size > MAX_BODY_SIZE ? null : Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 启动 HTTP 服务
+ *
+ * onUpdate(update) 处理一条 Telegram 更新，为空时不接收更新（polling 模式只提供健康检查）；
+ * getHealth() 返回 { ok, ... }，ok 为 false 时健康检查返回 503
+ * 返回 http.Server，开始监听后才 resolve
+ */
+export function startHttpServer({ onUpdate = null, getHealth, host = HTTP_HOST, port = HTTP_PORT } = {}) {
+  const server = http.createServer(async (req, res) => {
+    const path = (req.url || '').split('?')[0];
+
+    if (path === HEALTH_PATH && (req.method === 'GET' || req.method === 'HEAD')) {
+      let health;
+      try {
+        health = getHealth();
+      } catch (err) {
+        health = { ok: false, error: err.message };
+      }
+      sendJson(res, health.ok ? 200 : 503, health);
+      return;
+    }
+
+    if (!onUpdate || path !== WEBHOOK_PATH) {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'method not allowed' });
+      return;
+    }
+    if (!safeEqual(req.headers[SECRET_HEADER], WEBHOOK_SECRET)) {
+      console.error(`拒绝了 secret token 不对的 webhook 请求 (${req.socket.remoteAddress})`);
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    let update;
+    try {
+      const body = await readBody(req);
+      if (body === null) {
+        sendJson(res, 413, { error: 'payload too large' });
+        return;
+      }
+      update = JSON.parse(body);
+    } catch (err) {
+      sendJson(res, 400, { error: 'bad request' });
+      return;
+    }
+
+    // 先告诉 Telegram 收到了，处理（调用 LLM 等）可能要很久，超时的话 Telegram 会重复推送
+    sendJson(res, 200, { ok: true });
+
+    try {
+      onUpdate(update);
+    } catch (err) {
+      console.error(`处理 webhook 更新失败 (更新 ${update?.update_id}):`, err.message);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      server.on('error', (err) => console.error('HTTP 服务出错:', err.message));
+      resolve(server);
+    });
+  });
+}